@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @typedef {import('gettext-extractor/dist/builder').IMessage} ExtractedMessage
+ * @typedef {import('gettext-extractor/dist/extractor').IGettextExtractorStats} ExtractorStats
+ * @typedef {import('./jsExtractors').Diagnostic} Diagnostic
+ * @typedef {{mtime: number, hash: string}} FileVersion
+ * @typedef {{
+ *     files: Record<string, FileVersion | null>,
+ *     messages: ExtractedMessage[],
+ *     diagnostics: Diagnostic[],
+ *     stats: Pick<ExtractorStats, 'numberOfParsedFiles' | 'numberOfParsedFilesWithMessages' | 'numberOfMessageUsages'>,
+ * }} CacheEntry - Extraction result of a file. The files are the file itself and all files it references, e.g. via
+ *     src attributes in single file components, as the extraction result depends on them, too. Referenced files which
+ *     did not exist are marked by null.
+ * @typedef {{key: string, entries: Record<string, CacheEntry>}} Cache
+ */
+
+const DEFAULT_CACHE_FILE = 'node_modules/.cache/webpack-i18n-tools/extractor.json';
+// Version of the cache format and extraction logic. Increase it to invalidate existing caches, when the extraction
+// results change for the same input.
+const CACHE_VERSION = 3;
+
+/**
+ * Load the extraction cache from disk. The cache is discarded if it was created with a different key, which
+ * identifies the options the extraction results depend on.
+ * @param {string} cacheFile
+ * @param {string} key
+ * @returns {Cache}
+ */
+function loadCache(cacheFile, key) {
+    try {
+        const cache = JSON.parse(fs.readFileSync(cacheFile, { encoding: 'utf8' }));
+        if (cache.key === key && cache.entries) return cache;
+    } catch (e) {
+        // no cache yet or unreadable cache, start from scratch
+    }
+    return { key, entries: {} };
+}
+
+/**
+ * @param {string} cacheFile
+ * @param {Cache} cache
+ */
+function saveCache(cacheFile, cache) {
+    fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+    fs.writeFileSync(cacheFile, JSON.stringify(cache));
+}
+
+/**
+ * Get the cached extraction result of a file, if neither the file nor the files it references changed. Files are
+ * compared by modification time first and only hashed if it changed, such that merely touched files are not re-parsed.
+ * @param {Cache} cache
+ * @param {string} file
+ * @returns {CacheEntry | null}
+ */
+function getCacheEntry(cache, file) {
+    const entry = cache.entries[file];
+    if (!entry) return null;
+    for (const [filename, version] of Object.entries(entry.files)) {
+        const currentVersion = getFileVersion(filename, version || undefined);
+        if (!version) {
+            if (currentVersion) return null; // the missing file has been created
+            continue;
+        }
+        if (!currentVersion || currentVersion.hash !== version.hash) return null;
+        entry.files[filename] = currentVersion;
+    }
+    return entry;
+}
+
+/**
+ * @param {string} filename
+ * @param {FileVersion} [knownVersion] - If the modification time matches, the known version is returned without hashing
+ * @returns {FileVersion | null} - null if the file does not exist
+ */
+function getFileVersion(filename, knownVersion) {
+    let mtime;
+    try {
+        mtime = fs.statSync(filename).mtimeMs;
+    } catch (e) {
+        return null;
+    }
+    if (knownVersion && knownVersion.mtime === mtime) return knownVersion;
+    const hash = crypto.createHash('sha1').update(fs.readFileSync(filename)).digest('hex');
+    return { mtime, hash };
+}
+
+/**
+ * Create a cache key from the given values, e.g. the options the extraction results depend on.
+ * @param {unknown} values
+ * @returns {string}
+ */
+function createCacheKey(values) {
+    return crypto.createHash('sha1').update(JSON.stringify([CACHE_VERSION, values])).digest('hex');
+}
+
+module.exports = {
+    DEFAULT_CACHE_FILE,
+    loadCache,
+    saveCache,
+    getCacheEntry,
+    getFileVersion,
+    createCacheKey,
+};
@@ -0,0 +1,143 @@
+const glob = require('glob');
+const { StatsOutput } = require('gettext-extractor/dist/utils/output');
+const { loadConfig, resolveOptions, parseArguments } = require('./config');
+const { createExtractor } = require('./index');
+const { mergePoFile } = require('./merge');
+const { savePotFile, compilePotFile, getCompileOptions } = require('./output');
+
+/**
+ * @typedef {import('./config').ExtractorOptions} ExtractorOptions
+ * @typedef {import('./config').ResolvedExtractorOptions} ResolvedExtractorOptions
+ * @typedef {import('./index').ExtractionResult} ExtractionResult
+ * @typedef {import('./index').ExtractedMessage} ExtractedMessage
+ * @typedef {import('./jsExtractors').Diagnostic} Diagnostic
+ */
+
+const USAGE = 'Usage: $> node node_modules/webpack-i18n-tools/index.js <output-language-file> [--merge <glob>] '
+    + '[--lint] [--watch]';
+
+// Interval in ms in which files are checked for changes in watch mode. Files are polled instead of using fs.watch, as
+// recursive watching is not supported by fs.watch on all platforms and the cache makes unchanged files cheap to check.
+const WATCH_INTERVAL = 1000;
+
+/**
+ * Run the extractor as command line tool, with the options from the config file and the command line arguments: write
+ * the extracted messages to the output file and update existing translation files, or report translation keys which
+ * can not be extracted in lint mode. The process exit code is set to 1 on errors and in lint mode if any such keys are
+ * found.
+ * @param {string[]} args - The command line arguments
+ * @returns {Promise<void>}
+ */
+module.exports = async function(args) {
+    /** @type {ExtractorOptions} */
+    let argumentOptions;
+    try {
+        argumentOptions = parseArguments(args);
+    } catch (e) {
+        console.error(e instanceof Error ? e.message : e, USAGE);
+        process.exitCode = 1;
+        return;
+    }
+    const options = resolveOptions(loadConfig(), argumentOptions);
+
+    if (!options.output && !options.merge.length && !options.lint) {
+        console.error(
+            'The path for the output file must be provided and valid, either as argument or as "output" option in '
+                + 'the config.',
+            USAGE,
+        );
+        process.exitCode = 1;
+        return;
+    }
+
+    try {
+        const extract = createExtractor(options);
+        const { messages, diagnostics, stats } = await extract();
+
+        if (options.lint) {
+            printDiagnostics(diagnostics);
+            if (diagnostics.length) process.exitCode = 1;
+        } else {
+            console.log('i18n extractor stats (note that the file count includes not only files but all parsed '
+                + 'snippets):');
+            new StatsOutput(stats).print();
+            for (const { file, line, message } of diagnostics.filter(({ type }) => type === 'file')) {
+                console.warn(`${file}:${line}: ${message}`);
+            }
+            const dynamicKeyCount = diagnostics.filter(({ type }) => type === 'dynamicKey').length;
+            if (dynamicKeyCount) {
+                console.warn(`${dynamicKeyCount} translation key(s) can not be extracted because they are not `
+                    + 'static strings. Run the extractor with --lint for details.');
+            }
+            writeMessages(messages, options);
+        }
+
+        if (options.watch) await watch(extract, options, compilePotFile(messages, options));
+    } catch (e) {
+        console.error(e);
+        process.exitCode = 1;
+    }
+};
+
+/**
+ * Re-extract the messages whenever files change and update the output and translation files, if the extracted
+ * messages changed. In lint mode, the diagnostics are reported instead.
+ * @param {() => Promise<ExtractionResult>} extract
+ * @param {ResolvedExtractorOptions} options
+ * @param {string} potString - The result of the previous extraction
+ * @returns {Promise<never>}
+ */
+async function watch(extract, options, potString) {
+    console.log('i18n extractor: watching for changes...');
+    while (true) {
+        await new Promise((resolve) => setTimeout(resolve, WATCH_INTERVAL));
+        try {
+            const { messages, diagnostics, changed } = await extract();
+            if (!changed) continue;
+            if (options.lint) {
+                printDiagnostics(diagnostics);
+                continue;
+            }
+            const newPotString = compilePotFile(messages, options);
+            if (newPotString === potString) continue;
+            potString = newPotString;
+            console.log(`i18n extractor: messages changed, ${messages.length} messages.`);
+            writeMessages(messages, options);
+        } catch (e) {
+            // Keep watching, the error might be fixed with the next change.
+            console.error(e);
+        }
+    }
+}
+
+/**
+ * Write the extracted messages to the output file and update existing translation files.
+ * @param {ExtractedMessage[]} messages
+ * @param {ResolvedExtractorOptions} options
+ */
+function writeMessages(messages, options) {
+    const outputFile = options.output;
+    if (outputFile) {
+        savePotFile(outputFile, messages, options);
+    }
+
+    const translationFiles = glob.sync(options.merge, { ignore: outputFile ? [outputFile] : [], nodir: true });
+    for (const translationFile of translationFiles) {
+        const { added, changed, obsoleted } = mergePoFile(translationFile, messages, getCompileOptions(options));
+        console.log(`${translationFile}: ${added} added, ${changed} changed (marked as fuzzy), `
+            + `${obsoleted} obsoleted`);
+    }
+}
+
+/**
+ * @param {Diagnostic[]} diagnostics
+ */
+function printDiagnostics(diagnostics) {
+    for (const { file, line, message } of diagnostics) {
+        console.error(`${file}:${line}: ${message}`);
+    }
+    const dynamicKeyCount = diagnostics.filter(({ type }) => type === 'dynamicKey').length;
+    const fileProblemCount = diagnostics.length - dynamicKeyCount;
+    console.log(`i18n extractor lint: ${dynamicKeyCount} translation key(s) can not be extracted`
+        + (fileProblemCount ? `, ${fileProblemCount} file problem(s).` : '.'));
+}
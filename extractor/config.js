@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @typedef {{
+ *     name: string | string[],
+ *     text?: number,
+ *     textPlural?: number,
+ *     context?: number,
+ * }} CalleeDefinition - Callee name(s) in the notation of gettext-extractor, e.g. 'translate' or '[this].$t', and the
+ *     positions of the arguments holding the message text, plural text and context. text defaults to 0.
+ *
+ * @typedef {{
+ *     name: string | string[],
+ *     text: string,
+ *     textPlural?: string,
+ *     context?: string,
+ * }} ComponentDefinition - JSX component name(s), e.g. 'Trans' or 'I18n.Trans', and the names of the props holding the
+ *     message text, plural text and context.
+ *
+ * @typedef {{
+ *     include?: string | string[],
+ *     exclude?: string | string[],
+ *     callees?: CalleeDefinition[],
+ *     components?: ComponentDefinition[],
+ *     output?: string,
+ *     merge?: string | string[],
+ *     lint?: boolean,
+ *     delimiters?: [string, string],
+ *     watch?: boolean,
+ *     cache?: boolean | string,
+ *     sort?: 'msgid' | 'reference',
+ *     referenceLineNumbers?: boolean,
+ *     referenceBase?: string,
+ *     wrapWidth?: number,
+ *     headers?: Record<string, string>,
+ * }} ExtractorOptions - cache enables the on-disk extraction cache, optionally at a custom location. It is enabled by
+ *     default in watch mode.
+ *
+ * @typedef {{
+ *     include: string[],
+ *     exclude: string[],
+ *     callees: CalleeDefinition[],
+ *     components: ComponentDefinition[],
+ *     output?: string,
+ *     merge: string[],
+ *     lint: boolean,
+ *     delimiters?: [string, string],
+ *     watch: boolean,
+ *     cache?: boolean | string,
+ *     sort?: 'msgid' | 'reference',
+ *     referenceLineNumbers: boolean,
+ *     referenceBase?: string,
+ *     wrapWidth: number,
+ *     headers: Record<string, string>,
+ * }} ResolvedExtractorOptions
+ */
+
+const CONFIG_FILE = 'i18n-tools.config.js';
+const PACKAGE_JSON_KEY = 'i18n-tools';
+
+/** @type {ResolvedExtractorOptions} */
+const DEFAULT_OPTIONS = {
+    include: ['./src/**/*.{ts,tsx,js,jsx}', './src/**/*.vue'],
+    exclude: [],
+    callees: [],
+    components: [],
+    merge: [],
+    lint: false,
+    watch: false,
+    referenceLineNumbers: true,
+    wrapWidth: 0,
+    headers: {},
+};
+
+/**
+ * Load the extractor options from an i18n-tools.config.js file or the "i18n-tools" key of the package.json in the
+ * given directory. The config file takes precedence if both exist.
+ * @param {string} [directory]
+ * @returns {ExtractorOptions}
+ */
+function loadConfig(directory = process.cwd()) {
+    const configFile = path.resolve(directory, CONFIG_FILE);
+    if (fs.existsSync(configFile)) {
+        return require(configFile);
+    }
+
+    const packageJsonFile = path.resolve(directory, 'package.json');
+    if (fs.existsSync(packageJsonFile)) {
+        const packageJson = JSON.parse(fs.readFileSync(packageJsonFile, { encoding: 'utf8' }));
+        if (packageJson[PACKAGE_JSON_KEY]) return packageJson[PACKAGE_JSON_KEY];
+    }
+
+    return {};
+}
+
+/**
+ * Merge the given option sources in order over the defaults, e.g. the options from the config file and the command
+ * line arguments. Options which are undefined are ignored, such that they don't overwrite previous values.
+ * @param {...ExtractorOptions} sources
+ * @returns {ResolvedExtractorOptions}
+ */
+function resolveOptions(...sources) {
+    /** @type {ExtractorOptions} */
+    const mergedOptions = { ...DEFAULT_OPTIONS };
+    for (const source of sources) {
+        for (const key of /** @type {Array<keyof ExtractorOptions>} */ (Object.keys(source))) {
+            if (source[key] === undefined) continue;
+            Object.assign(mergedOptions, { [key]: source[key] });
+        }
+    }
+
+    return {
+        ...mergedOptions,
+        include: toArray(mergedOptions.include),
+        exclude: toArray(mergedOptions.exclude),
+        callees: mergedOptions.callees || [],
+        components: mergedOptions.components || [],
+        merge: toArray(mergedOptions.merge),
+        lint: !!mergedOptions.lint,
+        watch: !!mergedOptions.watch,
+        referenceLineNumbers: mergedOptions.referenceLineNumbers !== false,
+        wrapWidth: mergedOptions.wrapWidth || 0,
+        headers: mergedOptions.headers || {},
+    };
+}
+
+/**
+ * Parse the extractor's command line arguments, which are the output file and optionally `--merge <glob>`,
+ * `--lint` and `--watch`.
+ * @param {string[]} args
+ * @returns {ExtractorOptions}
+ * @throws {Error} - If an argument is malformed, e.g. `--merge` without a glob
+ */
+function parseArguments(args) {
+    /** @type {ExtractorOptions} */
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--merge' || arg.startsWith('--merge=')) {
+            const mergeGlob = arg === '--merge' ? args[++i] : arg.substring('--merge='.length);
+            if (!mergeGlob || mergeGlob.startsWith('--')) {
+                throw new Error('The --merge argument requires a glob of the translation files to update.');
+            }
+            options.merge = [...toArray(options.merge), mergeGlob];
+        } else if (arg === '--lint') {
+            options.lint = true;
+        } else if (arg === '--watch') {
+            options.watch = true;
+        } else if (!arg.startsWith('--')) {
+            options.output = arg;
+        }
+    }
+    return options;
+}
+
+/**
+ * @template T
+ * @param {T | T[] | undefined} value
+ * @returns {T[]}
+ */
+function toArray(value) {
+    if (value === undefined) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+module.exports = {
+    loadConfig,
+    resolveOptions,
+    parseArguments,
+};
@@ -1,232 +1,267 @@
-const fs = require('fs');
-const SAXParserPromise = import('parse5-sax-parser'); // es modules cannot be imported via require
 const gettext = require('gettext-extractor');
 const GettextExtractor = gettext.GettextExtractor;
 const JsExtractors = gettext.JsExtractors;
-const Readable = require('stream').Readable;
 const glob = require('glob');
+const { loadConfig, resolveOptions } = require('./config');
+const { DEFAULT_CACHE_FILE, loadCache, saveCache, getCacheEntry, getFileVersion, createCacheKey } = require('./cache');
+const { formatReferences } = require('./output');
+const { parseVueFile } = require('./vue');
+const {
+    COMMENT_OPTIONS,
+    withComments,
+    pluralCallExpression,
+    useI18nCallExpression,
+    jsxComponentExtractor,
+    findUseI18nBindings,
+    dynamicKeyLinter,
+    dynamicJsxPropLinter,
+} = require('./jsExtractors');
 
-module.exports = async function(writeToFile = true) {
+/**
+ * @typedef {import('./config').ExtractorOptions} ExtractorOptions
+ * @typedef {import('./jsExtractors').Diagnostic} Diagnostic
+ * @typedef {import('./cache').CacheEntry} CacheEntry
+ * @typedef {import('./cache').FileVersion} FileVersion
+ * @typedef {import('gettext-extractor/dist/builder').IMessage} ExtractedMessage
+ * @typedef {import('gettext-extractor/dist/extractor').IGettextExtractorStats} ExtractorStats
+ * @typedef {{
+ *     messages: ExtractedMessage[],
+ *     diagnostics: Diagnostic[],
+ *     stats: ExtractorStats,
+ *     changed: boolean,
+ * }} ExtractionResult - The messages have references formatted according to the output options. Diagnostics are the
+ *     translation calls with keys which can not be extracted, and problems with files, e.g. unsupported i18n custom
+ *     blocks. Changed is whether any file changed since the previous extraction by the same extractor, or since the
+ *     cached extraction.
+ */
 
-    const extractor = new GettextExtractor();
+// Callees of vue-i18n's api, which take the message as first argument
+const TRANSLATION_CALLEES = [
+    '$t', '[this].$t', 'i18n.t', 'root.$t', 'context.root.$t', '[this].$root.$t', "context.root.$i18n.t",
+    '$te', '[this].$te', 'i18n.te', 'root.$te', 'context.root.$te', '[this].$root.$te', "context.root.$i18n.te",
+];
+// Callees which take a message in vue-i18n's pipe syntax for pluralization as first argument
+const PLURAL_CALLEES = [
+    '$tc', '[this].$tc', 'i18n.tc', 'root.$tc', 'context.root.$tc', '[this].$root.$tc', "context.root.$i18n.tc",
+];
+// Callees which take a context as first argument and the message as second argument
+const CONTEXT_CALLEES = [
+    '$tp', '[this].$tp', 'i18n.tp', 'root.$tp', 'context.root.$tp', '[this].$root.$tp',
+];
+// Callees which take the message as second argument
+const MIXIN_CALLEES = [
+    'I18nMixin.$t',
+];
 
-    const selfClosingTags = [
-        'area',
-        'base',
-        'br',
-        'col',
-        'command',
-        'embed',
-        'hr',
-        'img',
-        'input',
-        'keygen',
-        'link',
-        'meta',
-        'param',
-        'source',
-        'track',
-        'wbr'
-    ];
-
-    /**
-     * @param {string} filename
-     * @returns {Promise<Array<{ code: string, line: number }>>}
-     */
-    const parseVueFile = async (filename) => {
-        const { SAXParser } = await SAXParserPromise;
-        return new Promise((resolve) => {
-            const htmlStream = fs.createReadStream(filename, {
-                encoding: 'utf8',
-            });
-
-            const htmlParser = new SAXParser({ sourceCodeLocationInfo: true });
-
-            let depth = 0;
-
-            /** @type {Record<'template' | 'script', {start?: number, line?: number, end?: number} | null>} */
-            const sectionLocations = {
-                template: null,
-                script: null,
-            };
-
-            // Get the location of the top-level `template` and `script` tags
-            htmlParser.on('startTag', ({ tagName, selfClosing, sourceCodeLocation }) => {
-                if (depth === 0
-                    && (tagName === 'template' || tagName === 'script')
-                    && sourceCodeLocation) {
-                    sectionLocations[tagName] = {
-                        start: sourceCodeLocation.endOffset,
-                        line: sourceCodeLocation.endLine,
-                    };
-                }
-
-                if (!(selfClosing || selfClosingTags.indexOf(tagName) > -1)) {
-                    depth++;
-                }
-            });
-
-            htmlParser.on('endTag', ({ tagName, sourceCodeLocation }) => {
-                depth--;
-
-                if (depth === 0 && (tagName === 'template' || tagName === 'script') && sourceCodeLocation) {
-                    sectionLocations[tagName] = {
-                        ...sectionLocations[tagName],
-                        end: sourceCodeLocation.startOffset,
-                    };
-                }
-            });
-
-            htmlStream.on('open', () => htmlStream.pipe(htmlParser));
-            htmlStream.on('end', () => {
-                const content = fs.readFileSync(filename, {
-                    encoding: 'utf8',
-                });
-
-                // Get the contents of the `template` and `script` sections, if present.
-                // We're assuming that the content is inline, not referenced by an `src` attribute.
-                // https://vue-loader.vuejs.org/en/start/spec.html
-                let template = '';
-                /** @type {Array<{code: string, line: number}>} */
-                const snippets = [];
-
-                if (sectionLocations.template && sectionLocations.template.start && sectionLocations.template.end) {
-                    template = content.substring(sectionLocations.template.start, sectionLocations.template.end);
-                }
-
-                if (sectionLocations.script
-                    && sectionLocations.script.start
-                    && sectionLocations.script.end
-                    && sectionLocations.script.line) {
-                    snippets.push({
-                        code: content.substring(sectionLocations.script.start, sectionLocations.script.end),
-                        line: sectionLocations.script.line,
-                    });
-                }
-
-                // Parse the template looking for JS expressions
-                const templateParser = new SAXParser({ sourceCodeLocationInfo: true });
-
-                // Look for JS expressions in tag attributes
-                templateParser.on('startTag', ({ tagName, attrs, sourceCodeLocation }) => {
-                    if (!sourceCodeLocation || !('attrs' in sourceCodeLocation)) return;
-                    const { attrs: attributeLocations } = (
-                        /** @type {import('parse5').StartTagLocation} */ (sourceCodeLocation));
-                    for (const attr of attrs) {
-                        // We're looking for data bindings, events and directives
-                        if (attr.name.match(/^(:|@|v-)/)) {
-                            snippets.push({
-                                code: attr.value,
-                                line: attributeLocations[attr.name].startLine,
-                            });
-                        }
-                        // vue-i18n component interpolation. Called "i18n" until vue-i18n v9 with message in attribute
-                        // "path", and starting with v9 "i18n-t" with attribute "keypath".
-                        if (/^i18n(-t)?$/.test(tagName) && /^:?(key)?path$/.test(attr.name)) {
-                            // wrap the path / key in a js snippet including $t for detection by the javascript parser
-                            const stringDelimiter = !attr.name.startsWith(':')
-                                ? ['"', '\'', '`'].find((delimiter) => !attr.value.includes(delimiter))
-                                : ''; // none required as the value is already a js snippet with strings marked as such
-                            const code = `$t(${stringDelimiter}${attr.value}${stringDelimiter})`;
-                            snippets.push({
-                                code,
-                                line: attributeLocations[attr.name].startLine,
-                            });
-                        }
-                    }
-                });
-
-                // Look for interpolations in text contents.
-                // We're assuming {{}} as delimiters for interpolations.
-                // These delimiters could change using Vue's `delimiters` option.
-                // https://vuejs.org/v2/api/#delimiters
-                templateParser.on('text', ({ text, sourceCodeLocation }) => {
-                    if (!sourceCodeLocation) return;
-                    let exprMatch;
-                    let lineOffset = 0;
-
-                    while (exprMatch = text.match(/{{([\s\S]*?)}}/)) {
-                        const code = exprMatch[1];
-                        const prevLinesCount = text.substring(0, exprMatch.index).split(/\r\n|\r|\n/).length;
-                        const matchedLinesCount = code.split(/\r\n|\r|\n/).length;
-
-                        lineOffset += prevLinesCount - 1;
-
-                        snippets.push({
-                            code,
-                            line: sourceCodeLocation.startLine + lineOffset,
-                        })
-
-                        text = text.substring(/** @type {number} */ (exprMatch.index) + exprMatch[0].length);
-
-                        lineOffset += matchedLinesCount - 1;
-                    }
-                });
+/**
+ * Extract the messages from the source files.
+ * @param {ExtractorOptions} [options] - Merged over the default options. The config file is not read, see loadConfig
+ *     in ./config.js for that.
+ * @returns {Promise<ExtractionResult>}
+ */
+async function extract(options = {}) {
+    return createExtractor(options)();
+}
 
-                const templateStream = Readable.from([template]);
-                templateStream.on('end', () => resolve(snippets));
-                templateStream.pipe(templateParser);
-            });
-        });
-    };
+/**
+ * Create an extraction function for repeated extractions, e.g. in watch mode. Extraction results are cached per file,
+ * in memory and optionally on disk, such that only changed files are parsed again.
+ * @param {ExtractorOptions} [extractorOptions] - Merged over the default options
+ * @returns {() => Promise<ExtractionResult>}
+ */
+function createExtractor(extractorOptions = {}) {
+    const options = resolveOptions(extractorOptions);
 
-    const outputFile = process.argv[2];
+    // Functions bound from useI18n in the scripts of the currently parsed single file component, for use in its template.
+    /** @type {Map<string, string>} */
+    let templateUseI18nBindings = new Map();
+    // Translator comments in the template of the currently parsed single file component, for the parsed expression.
+    /** @type {string[]} */
+    let templateComments = [];
+    // Translation calls with keys which can not be extracted, in the currently parsed file
+    /** @type {Diagnostic[]} */
+    let fileDiagnostics = [];
 
-    if (writeToFile && !outputFile) {
-        console.error(
-            'The path for the output file must be provided and valid.',
-            'Usage: $> node node_modules/webpack-i18n-tools/index.js <output-language-file>',
-        );
-        process.exit(1);
-    }
-
-    const scriptParser = extractor.createJsParser([
+    const jsExtractors = [
         // Place all the possible expressions to extract here:
-        JsExtractors.callExpression([
-            '$t', '[this].$t', 'i18n.t', 'root.$t', 'context.root.$t', '[this].$root.$t', "context.root.$i18n.t",
-            '$tc', '[this].$tc', 'i18n.tc', 'root.$tc', 'context.root.$tc', '[this].$root.$tc', "context.root.$i18n.tc",
-            '$te', '[this].$te', 'i18n.te', 'root.$te', 'context.root.$te', '[this].$root.$te', "context.root.$i18n.te",
-        ], {
+        JsExtractors.callExpression(TRANSLATION_CALLEES, {
             arguments: {
                 text: 0, // the message is the first argument
             },
+            comments: COMMENT_OPTIONS,
         }),
-        JsExtractors.callExpression([
-            'I18nMixin.$t'
-        ], {
+        // Messages with context, which gets extracted as msgctxt
+        JsExtractors.callExpression(CONTEXT_CALLEES, {
             arguments: {
+                context: 0, // the context is the first argument
                 text: 1, // the message is the second argument
             },
+            comments: COMMENT_OPTIONS,
         }),
-    ]);
+        // Plurals in vue-i18n's pipe syntax, extracted as gettext plurals
+        pluralCallExpression(PLURAL_CALLEES),
+        JsExtractors.callExpression(MIXIN_CALLEES, {
+            arguments: {
+                text: 1, // the message is the second argument
+            },
+            comments: COMMENT_OPTIONS,
+        }),
+        // Functions bound from vue-i18n's composition api via useI18n, e.g. t or renamed bindings
+        useI18nCallExpression(() => templateUseI18nBindings),
+        // Additional, project specific callees, e.g. wrappers around $t
+        ...options.callees.map(({ name, text = 0, textPlural, context }) => JsExtractors.callExpression(name, {
+            arguments: { text, textPlural, context },
+            comments: COMMENT_OPTIONS,
+        })),
+        // Project specific components in JSX, e.g. <Trans i18nKey="..." />
+        jsxComponentExtractor(options.components),
+    ].map((jsExtractor) => withComments(jsExtractor, () => templateComments));
+    /** @param {Diagnostic} diagnostic */
+    const report = (diagnostic) => fileDiagnostics.push(diagnostic);
+    const linters = [
+        dynamicKeyLinter(
+            [
+                { name: TRANSLATION_CALLEES },
+                { name: PLURAL_CALLEES },
+                { name: CONTEXT_CALLEES, context: 0, text: 1 },
+                { name: MIXIN_CALLEES, text: 1 },
+                ...options.callees,
+            ],
+            () => templateUseI18nBindings,
+            report,
+        ),
+        dynamicJsxPropLinter(options.components, report),
+    ];
 
-    try {
-        // Parse typescript and javascript files.
-        scriptParser.parseFilesGlob('./src/**/*.{ts,js}');
+    // Extraction results per file, which are kept on disk if the cache is enabled, such that only changed files need
+    // to be parsed again.
+    const cacheFile = options.cache === true || (options.cache === undefined && options.watch)
+        ? DEFAULT_CACHE_FILE
+        : options.cache || null;
+    const cacheKey = createCacheKey({
+        callees: options.callees,
+        components: options.components,
+        delimiters: options.delimiters,
+    });
+    const cache = cacheFile ? loadCache(cacheFile, cacheKey) : { key: cacheKey, entries: {} };
 
-        // Parse vue files.
-        const vueFiles = glob.sync("./src/**/*.vue");
-        for (const vueFile of vueFiles) {
-            const snippets = await parseVueFile(vueFile)
-            for (const { code, line } of snippets) {
+    /**
+     * Extract the messages of a single file.
+     * @param {string} file
+     * @returns {Promise<CacheEntry>}
+     */
+    async function extractFile(file) {
+        const fileExtractor = new GettextExtractor();
+        // The parser keeps and extends the passed array, thus a new array is passed for each parser.
+        const scriptParser = fileExtractor.createJsParser([...jsExtractors, ...linters]);
+        fileDiagnostics = [];
+        /** @type {Record<string, FileVersion | null>} */
+        const files = {};
+        const fileVersion = getFileVersion(file); // determined before parsing, to not miss changes during parsing
+        if (fileVersion) files[file] = fileVersion;
+
+        if (!file.endsWith('.vue')) {
+            // Parse typescript and javascript files, including jsx and tsx.
+            scriptParser.parseFile(file);
+        } else {
+            // Parse vue files.
+            // Referenced files, e.g. via src attributes, are tracked for cache invalidation, including missing files,
+            // which invalidate the cache entry once they are created.
+            const reference = (/** @type {string} */ filename) => {
+                if (!files[filename]) files[filename] = getFileVersion(filename);
+            };
+            const snippets = await parseVueFile(file, { delimiters: options.delimiters, report, reference });
+            /** @type {Map<string, string>} */
+            const useI18nBindings = new Map();
+            for (const { type, code, scriptKind } of snippets) {
+                if (type !== 'script') continue;
+                findUseI18nBindings(code, scriptKind).forEach((fn, binding) => useI18nBindings.set(binding, fn));
+            }
+            for (const { type, code, line, filename = file, scriptKind, comments = [] } of snippets) {
+                // Scripts resolve their bindings themselves, template expressions use the bindings from the scripts.
+                templateUseI18nBindings = type === 'template' ? useI18nBindings : new Map();
+                templateComments = comments;
                 scriptParser.parseString(
                     code,
-                    vueFile,
-                    { lineNumberStart: line },
+                    filename,
+                    { lineNumberStart: line, scriptKind },
                 );
             }
+            templateUseI18nBindings = new Map();
+            templateComments = [];
         }
 
-        console.log('i18n extractor stats (note that the file count includes not only files but all parsed snippets):');
-        extractor.printStats();
+        const { numberOfParsedFiles, numberOfParsedFilesWithMessages, numberOfMessageUsages } = fileExtractor.getStats();
+        return {
+            files,
+            messages: fileExtractor.getMessages(),
+            diagnostics: fileDiagnostics,
+            stats: { numberOfParsedFiles, numberOfParsedFilesWithMessages, numberOfMessageUsages },
+        };
+    }
+
+    /**
+     * Extract the messages of all files, re-using cached results of unchanged files.
+     * @returns {Promise<ExtractionResult>}
+     */
+    return async function extract() {
+        const files = glob.sync(options.include, { ignore: options.exclude, nodir: true });
+        /** @type {Record<string, CacheEntry>} */
+        const entries = {};
+        let changed = files.length !== Object.keys(cache.entries).length;
+        for (const file of files) {
+            let entry = getCacheEntry(cache, file);
+            if (!entry) {
+                entry = await extractFile(file);
+                changed = true;
+            }
+            entries[file] = entry;
+        }
+        cache.entries = entries; // drops entries of deleted files
+        if (cacheFile && changed) saveCache(cacheFile, cache);
 
-        if (writeToFile) {
-            extractor.savePotFile(outputFile);
-        } else {
-            return extractor.getMessages();
+        const extractor = new GettextExtractor();
+        /** @type {Diagnostic[]} */
+        const diagnostics = [];
+        const stats = extractor.getStats();
+        for (const entry of Object.values(entries)) {
+            for (const { textPlural, context, ...message } of entry.messages) {
+                // Optional properties must be undefined instead of null for addMessage.
+                extractor.addMessage({ ...message, textPlural: textPlural || undefined, context: context || undefined });
+            }
+            diagnostics.push(...entry.diagnostics);
         }
-    } catch (e) {
-        console.error(e);
-        throw e;
-    }
+        // The usages counted by addMessage are the merged messages per file, instead of the actual usages.
+        stats.numberOfMessageUsages = 0;
+        for (const { stats: entryStats } of Object.values(entries)) {
+            stats.numberOfParsedFiles += entryStats.numberOfParsedFiles;
+            stats.numberOfParsedFilesWithMessages += entryStats.numberOfParsedFilesWithMessages;
+            stats.numberOfMessageUsages += entryStats.numberOfMessageUsages;
+        }
+        return {
+            messages: formatReferences(extractor.getMessages(), options),
+            diagnostics,
+            stats,
+            changed,
+        };
+    };
 }
+
+/**
+ * The extractor's original interface, which is kept for backwards compatibility: extract the messages with the options
+ * from the config file, and either write them to the output file passed as command line argument, like the command line
+ * tool, or return them.
+ * @param {boolean} [writeToFile]
+ * @returns {Promise<ExtractedMessage[] | void>}
+ */
+async function extractFromCommandLine(writeToFile = true) {
+    // Required lazily, as the command line tool requires this module itself.
+    if (writeToFile) return require('./cli')(process.argv.slice(2));
+    const { messages } = await extract(loadConfig());
+    return messages;
+}
+
+module.exports = Object.assign(extractFromCommandLine, {
+    extract,
+    createExtractor,
+});
@@ -0,0 +1,443 @@
+const ts = require('typescript');
+const JsExtractors = require('gettext-extractor').JsExtractors;
+const { JsUtils } = require('gettext-extractor/dist/js/utils');
+
+/**
+ * @typedef {import('gettext-extractor/dist/js/parser').IJsExtractorFunction} JsExtractorFunction
+ * @typedef {import('gettext-extractor/dist/parser').IMessageData} MessageData
+ * @typedef {import('./config').CalleeDefinition} CalleeDefinition
+ * @typedef {import('./config').ComponentDefinition} ComponentDefinition
+ * @typedef {{ file: string, line: number, message: string, type: 'dynamicKey' | 'file' }} Diagnostic - A translation
+ *     key which is not a static string and can not be extracted, or a problem with a file, e.g. an unsupported i18n
+ *     custom block in a single file component
+ */
+
+// Functions returned by vue-i18n's useI18n which take the message as first argument.
+const USE_I18N_FUNCTIONS = ['t', 'tc', 'te'];
+// Functions returned by vue-i18n's useI18n which take a message in vue-i18n's pipe syntax for pluralization.
+const USE_I18N_PLURAL_FUNCTIONS = ['tc'];
+
+// Comments for translators are marked by an i18n: prefix, e.g. `// i18n: Title of the settings page`, and can be placed
+// on the lines before the translation call's statement, or on the same line.
+/** @type {import('gettext-extractor/dist/js/extractors/comments').ICommentOptions} */
+const COMMENT_OPTIONS = {
+    otherLineLeading: true,
+    sameLineLeading: true,
+    sameLineTrailing: true,
+    regex: /^i18n:\s*(.*)$/,
+};
+
+/**
+ * Wrap an extractor to add additional comments to its messages, e.g. comments in a template which are not part of the
+ * parsed template expressions.
+ * @param {JsExtractorFunction} extractor
+ * @param {() => string[]} getComments
+ * @returns {JsExtractorFunction}
+ */
+function withComments(extractor, getComments) {
+    return (node, sourceFile, addMessage, lineNumberStart) => extractor(
+        node,
+        sourceFile,
+        (message) => addMessage({
+            ...message,
+            comments: [...(message.comments || []), ...getComments()],
+        }),
+        lineNumberStart,
+    );
+}
+
+/**
+ * Extractor for calls with a message in vue-i18n's pipe syntax for pluralization as first argument, e.g. `$tc`. Messages
+ * in the form `singular | plural` are extracted as gettext plural entries, with the singular as msgid and the plural as
+ * msgid_plural. Other messages, e.g. with a separate choice for zero, are extracted as they are.
+ * @param {string | string[]} calleeName
+ * @returns {JsExtractorFunction}
+ */
+function pluralCallExpression(calleeName) {
+    const callExpressionExtractor = JsExtractors.callExpression(calleeName, {
+        arguments: {
+            text: 0, // the message is the first argument
+        },
+        comments: COMMENT_OPTIONS,
+    });
+    return (node, sourceFile, addMessage, lineNumberStart) => callExpressionExtractor(
+        node,
+        sourceFile,
+        (message) => addMessage(toPluralMessage(message)),
+        lineNumberStart,
+    );
+}
+
+/**
+ * Extractor for calls of functions bound from vue-i18n's composition api, e.g. `t('...')` after
+ * `const { t } = useI18n()`, including renamed bindings like `const { t: translate } = useI18n()`. The bindings are
+ * resolved by scope, such that calls of other functions which happen to have the same name are not extracted.
+ * @param {() => Map<string, string>} [getOuterBindings] - Functions bound from useI18n in an outer scope that is not
+ *     part of the parsed source, e.g. the `<script setup>` of a component for its template expressions. Maps the local
+ *     names to the names of the useI18n functions.
+ * @returns {JsExtractorFunction}
+ */
+function useI18nCallExpression(getOuterBindings = () => new Map()) {
+    /** @type {Map<string, JsExtractorFunction>} */
+    const callExpressionExtractors = new Map();
+
+    return (node, sourceFile, addMessage, lineNumberStart) => {
+        if (!ts.isCallExpression(node)) return;
+        const useI18nFunction = resolveUseI18nFunction(node, getOuterBindings);
+        if (!useI18nFunction) return;
+        const name = /** @type {ts.Identifier} */ (node.expression).text;
+        if (USE_I18N_PLURAL_FUNCTIONS.includes(useI18nFunction)) {
+            const addPluralMessage = addMessage;
+            addMessage = (message) => addPluralMessage(toPluralMessage(message));
+        }
+
+        // Delegate the actual extraction to gettext-extractor for consistent handling of string concatenations and
+        // comments.
+        let callExpressionExtractor = callExpressionExtractors.get(name);
+        if (!callExpressionExtractor) {
+            callExpressionExtractor = JsExtractors.callExpression(name, {
+                arguments: {
+                    text: 0, // the message is the first argument
+                },
+                comments: COMMENT_OPTIONS,
+            });
+            callExpressionExtractors.set(name, callExpressionExtractor);
+        }
+        callExpressionExtractor(node, sourceFile, addMessage, lineNumberStart);
+    };
+}
+
+/**
+ * Extractor for messages passed as props to components in JSX, e.g. `<Trans i18nKey="..." />`. Comments for translators
+ * can be placed in a JSX comment with i18n: prefix before the element.
+ * @param {ComponentDefinition[]} components
+ * @returns {JsExtractorFunction}
+ */
+function jsxComponentExtractor(components) {
+    return (node, sourceFile, addMessage) => {
+        if (!ts.isJsxOpeningElement(node) && !ts.isJsxSelfClosingElement(node)) return;
+        const component = findComponent(node, sourceFile, components);
+        if (!component) return;
+        const text = getStaticString(getJsxAttributeValue(node, component.text));
+        if (text === null) return;
+        const textPlural = component.textPlural
+            ? getStaticString(getJsxAttributeValue(node, component.textPlural))
+            : null;
+        const context = component.context ? getStaticString(getJsxAttributeValue(node, component.context)) : null;
+        addMessage({
+            text,
+            textPlural: textPlural || undefined,
+            context: context || undefined,
+            comments: getJsxComments(ts.isJsxOpeningElement(node) ? node.parent : node, sourceFile),
+        });
+    };
+}
+
+/**
+ * Linter which reports calls of translation functions with keys that are not static strings and can therefore not be
+ * extracted, e.g. `$t(someVariable)` or `$t('prefix.' + id)`. Doesn't extract any messages itself.
+ * @param {CalleeDefinition[]} callees
+ * @param {() => Map<string, string>} getOuterBindings - See useI18nCallExpression
+ * @param {(diagnostic: Diagnostic) => void} report
+ * @returns {JsExtractorFunction}
+ */
+function dynamicKeyLinter(callees, getOuterBindings, report) {
+    return (node, sourceFile, addMessage, lineNumberStart) => {
+        if (!ts.isCallExpression(node)) return;
+        /** @type {Array<number | undefined>} */
+        let argumentIndices = [];
+        const callee = callees.find(({ name }) => (Array.isArray(name) ? name : [name])
+            .some((calleeName) => JsUtils.calleeNameMatchesCallExpression(calleeName, node)));
+        if (callee) {
+            argumentIndices = [callee.text || 0, callee.textPlural, callee.context];
+        } else if (resolveUseI18nFunction(node, getOuterBindings)) {
+            argumentIndices = [0];
+        }
+
+        for (const argumentIndex of argumentIndices) {
+            if (argumentIndex === undefined) continue;
+            const argument = node.arguments[argumentIndex];
+            if (!argument || getStaticString(argument) !== null) continue;
+            report(createDynamicKeyDiagnostic(node, sourceFile, lineNumberStart));
+        }
+    };
+}
+
+/**
+ * Linter which reports props of components in JSX with messages that are not static strings, e.g.
+ * `<Trans i18nKey={someVariable} />`. Doesn't extract any messages itself.
+ * @param {ComponentDefinition[]} components
+ * @param {(diagnostic: Diagnostic) => void} report
+ * @returns {JsExtractorFunction}
+ */
+function dynamicJsxPropLinter(components, report) {
+    return (node, sourceFile, addMessage, lineNumberStart) => {
+        if (!ts.isJsxOpeningElement(node) && !ts.isJsxSelfClosingElement(node)) return;
+        const component = findComponent(node, sourceFile, components);
+        if (!component) return;
+        for (const prop of [component.text, component.textPlural, component.context]) {
+            if (prop === undefined) continue;
+            const value = getJsxAttributeValue(node, prop);
+            if (!value || getStaticString(value) !== null) continue;
+            report(createDynamicKeyDiagnostic(node, sourceFile, lineNumberStart));
+        }
+    };
+}
+
+/**
+ * @param {ts.Node} node
+ * @param {ts.SourceFile} sourceFile
+ * @param {number} lineNumberStart
+ * @returns {Diagnostic}
+ */
+function createDynamicKeyDiagnostic(node, sourceFile, lineNumberStart) {
+    const line = lineNumberStart + sourceFile.getLineAndCharacterOfPosition(node.getStart()).line;
+    const code = node.getText(sourceFile).replace(/\s+/g, ' ');
+    return {
+        file: sourceFile.fileName,
+        line,
+        type: 'dynamicKey',
+        message: `Translation key is not a static string and can not be extracted: ${code.length > 80
+            ? `${code.substring(0, 77)}...`
+            : code}`,
+    };
+}
+
+/**
+ * Get the value of an expression which is a string literal or a concatenation of string literals.
+ * @param {ts.Expression | null} expression
+ * @returns {string | null} - null if the expression is not a static string
+ */
+function getStaticString(expression) {
+    while (expression && ts.isParenthesizedExpression(expression)) {
+        expression = expression.expression;
+    }
+    if (!expression) return null;
+    if (ts.isStringLiteral(expression) || ts.isNoSubstitutionTemplateLiteral(expression)) return expression.text;
+    if (!ts.isBinaryExpression(expression) || expression.operatorToken.kind !== ts.SyntaxKind.PlusToken) return null;
+    const left = getStaticString(expression.left);
+    const right = getStaticString(expression.right);
+    return left !== null && right !== null ? left + right : null;
+}
+
+/**
+ * Find the component definition matching a JSX element's tag name, e.g. `Trans` or `I18n.Trans`.
+ * @param {ts.JsxOpeningElement | ts.JsxSelfClosingElement} element
+ * @param {ts.SourceFile} sourceFile
+ * @param {ComponentDefinition[]} components
+ * @returns {ComponentDefinition | null}
+ */
+function findComponent(element, sourceFile, components) {
+    const tagName = element.tagName.getText(sourceFile);
+    return components.find(({ name }) => (Array.isArray(name) ? name : [name]).includes(tagName)) || null;
+}
+
+/**
+ * Get the value of a JSX attribute as expression, e.g. the string literal of `i18nKey="..."` or the expression of
+ * `i18nKey={...}`.
+ * @param {ts.JsxOpeningElement | ts.JsxSelfClosingElement} element
+ * @param {string} name
+ * @returns {ts.Expression | null} - null if the attribute does not exist or has no value
+ */
+function getJsxAttributeValue(element, name) {
+    const attribute = element.attributes.properties.find((property) => ts.isJsxAttribute(property)
+        && property.name.getText() === name);
+    if (!attribute || !ts.isJsxAttribute(attribute) || !attribute.initializer) return null;
+    const { initializer } = attribute;
+    if (ts.isStringLiteral(initializer)) return initializer;
+    return ts.isJsxExpression(initializer) && initializer.expression ? initializer.expression : null;
+}
+
+/**
+ * Get the comments for translators in a JSX comment expression with i18n: prefix preceding an element, if any.
+ * @param {ts.Node} element
+ * @param {ts.SourceFile} sourceFile
+ * @returns {string[]}
+ */
+function getJsxComments(element, sourceFile) {
+    const parent = element.parent;
+    if (!parent || (!ts.isJsxElement(parent) && !ts.isJsxFragment(parent))) return [];
+    const siblings = parent.children;
+    for (let i = siblings.indexOf(/** @type {ts.JsxChild} */ (element)) - 1; i >= 0; i--) {
+        const sibling = siblings[i];
+        if (ts.isJsxText(sibling) && sibling.containsOnlyTriviaWhiteSpaces) continue;
+        if (!ts.isJsxExpression(sibling) || sibling.expression) break;
+        const expressionContent = sibling.getText(sourceFile).slice(1, -1); // without the braces
+        /** @type {string[]} */
+        const comments = [];
+        for (const { pos, end, kind } of ts.getLeadingCommentRanges(expressionContent, 0) || []) {
+            const comment = kind === ts.SyntaxKind.MultiLineCommentTrivia
+                ? expressionContent.substring(pos + 2, end - 2)
+                : expressionContent.substring(pos + 2, end);
+            const match = comment.trim().match(COMMENT_OPTIONS.regex || /^(.*)$/);
+            if (match) comments.push(match[1]);
+        }
+        return comments;
+    }
+    return [];
+}
+
+/**
+ * Check whether a call is a call of a function bound from useI18n.
+ * @param {ts.CallExpression} callExpression
+ * @param {() => Map<string, string>} getOuterBindings - See useI18nCallExpression
+ * @returns {string | null} - The name of the called useI18n function
+ */
+function resolveUseI18nFunction(callExpression, getOuterBindings) {
+    if (!ts.isIdentifier(callExpression.expression)) return null;
+    const declaration = findDeclaration(callExpression.expression);
+    return declaration
+        ? getUseI18nFunction(declaration)
+        : getOuterBindings().get(callExpression.expression.text) || null;
+}
+
+/**
+ * Find the functions bound from useI18n in a script. These are not only searched in the top-level scope, to also cover
+ * the common pattern of returning them from a component's `setup()` for use in its template.
+ * @param {string} code
+ * @param {ts.ScriptKind} [scriptKind]
+ * @returns {Map<string, string>} - Maps the local names to the names of the useI18n functions
+ */
+function findUseI18nBindings(code, scriptKind) {
+    /** @type {Map<string, string>} */
+    const bindings = new Map();
+    if (!code.includes('useI18n')) return bindings;
+    const sourceFile = ts.createSourceFile('', code, ts.ScriptTarget.Latest, true, scriptKind);
+
+    /** @param {ts.Node} node */
+    const visit = (node) => {
+        const useI18nFunction = ts.isIdentifier(node) ? getUseI18nFunction(node) : null;
+        if (useI18nFunction) {
+            bindings.set(/** @type {ts.Identifier} */ (node).text, useI18nFunction);
+        }
+        ts.forEachChild(node, visit);
+    };
+    visit(sourceFile);
+    return bindings;
+}
+
+/**
+ * Check whether an identifier is declared as binding of a translation function returned by useI18n.
+ * @param {ts.Identifier} declaration
+ * @returns {string | null} - The name of the useI18n function, if it is bound from useI18n
+ */
+function getUseI18nFunction(declaration) {
+    const bindingElement = declaration.parent;
+    if (!ts.isBindingElement(bindingElement) || bindingElement.name !== declaration) return null;
+    const propertyName = bindingElement.propertyName || bindingElement.name;
+    if (!ts.isIdentifier(propertyName) || !USE_I18N_FUNCTIONS.includes(propertyName.text)) return null;
+
+    const variableDeclaration = bindingElement.parent.parent;
+    if (!ts.isObjectBindingPattern(bindingElement.parent) || !ts.isVariableDeclaration(variableDeclaration)) return null;
+    let initializer = variableDeclaration.initializer;
+    while (initializer && (ts.isParenthesizedExpression(initializer) || ts.isAsExpression(initializer))) {
+        initializer = initializer.expression;
+    }
+    if (!initializer || !ts.isCallExpression(initializer)) return null;
+    const callee = initializer.expression;
+    const isUseI18nCall = (ts.isIdentifier(callee) && callee.text === 'useI18n')
+        || (ts.isPropertyAccessExpression(callee) && callee.name.text === 'useI18n'); // e.g. VueI18n.useI18n()
+    return isUseI18nCall ? propertyName.text : null;
+}
+
+/**
+ * @param {MessageData} message
+ * @returns {MessageData}
+ */
+function toPluralMessage(message) {
+    const choices = message.text.split('|').map((choice) => choice.trim());
+    // Only convert messages in the canonical form `singular | plural`, from which the loader can reconstruct the key.
+    if (choices.length !== 2 || choices.join(' | ') !== message.text || !choices[0] || !choices[1]) return message;
+    return {
+        ...message,
+        text: choices[0],
+        textPlural: choices[1],
+    };
+}
+
+/**
+ * Find the declaration of an identifier in its enclosing scopes.
+ * @param {ts.Identifier} identifier
+ * @returns {ts.Identifier | null} - The identifier in the declaration
+ */
+function findDeclaration(identifier) {
+    for (let scope = identifier.parent; scope; scope = scope.parent) {
+        const declaration = findDeclarationInScope(scope, identifier.text);
+        if (declaration) return declaration;
+    }
+    return null;
+}
+
+/**
+ * @param {ts.Node} scope
+ * @param {string} name
+ * @returns {ts.Identifier | null}
+ */
+function findDeclarationInScope(scope, name) {
+    /** @type {ts.Node[]} */
+    let declarations = [];
+    if (ts.isFunctionLike(scope)) {
+        declarations = [...scope.parameters];
+        if (ts.isFunctionExpression(scope) && scope.name) {
+            declarations.push(scope.name);
+        }
+    } else if (ts.isSourceFile(scope) || ts.isBlock(scope) || ts.isModuleBlock(scope)
+        || ts.isCaseClause(scope) || ts.isDefaultClause(scope)) {
+        for (const statement of scope.statements) {
+            if (ts.isVariableStatement(statement)) {
+                declarations.push(...statement.declarationList.declarations);
+            } else if ((ts.isFunctionDeclaration(statement) || ts.isClassDeclaration(statement)
+                || ts.isEnumDeclaration(statement)) && statement.name) {
+                declarations.push(statement.name);
+            } else if (ts.isImportDeclaration(statement) && statement.importClause) {
+                const { name: defaultImport, namedBindings } = statement.importClause;
+                if (defaultImport) declarations.push(defaultImport);
+                if (namedBindings && ts.isNamespaceImport(namedBindings)) declarations.push(namedBindings.name);
+                if (namedBindings && ts.isNamedImports(namedBindings)) {
+                    declarations.push(...namedBindings.elements.map((element) => element.name));
+                }
+            }
+        }
+    } else if ((ts.isForStatement(scope) || ts.isForOfStatement(scope) || ts.isForInStatement(scope))
+        && scope.initializer && ts.isVariableDeclarationList(scope.initializer)) {
+        declarations = [...scope.initializer.declarations];
+    } else if (ts.isCatchClause(scope) && scope.variableDeclaration) {
+        declarations = [scope.variableDeclaration];
+    }
+
+    for (const declaration of declarations) {
+        const declaredIdentifier = findDeclaredIdentifier(declaration, name);
+        if (declaredIdentifier) return declaredIdentifier;
+    }
+    return null;
+}
+
+/**
+ * @param {ts.Node} declaration - A declaration, parameter or the declared name itself
+ * @param {string} name
+ * @returns {ts.Identifier | null}
+ */
+function findDeclaredIdentifier(declaration, name) {
+    if (ts.isIdentifier(declaration)) return declaration.text === name ? declaration : null;
+    if (ts.isVariableDeclaration(declaration) || ts.isParameter(declaration) || ts.isBindingElement(declaration)) {
+        return findDeclaredIdentifier(declaration.name, name);
+    }
+    if (ts.isObjectBindingPattern(declaration) || ts.isArrayBindingPattern(declaration)) {
+        for (const element of declaration.elements) {
+            const declaredIdentifier = findDeclaredIdentifier(element, name);
+            if (declaredIdentifier) return declaredIdentifier;
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    COMMENT_OPTIONS,
+    withComments,
+    pluralCallExpression,
+    useI18nCallExpression,
+    jsxComponentExtractor,
+    findUseI18nBindings,
+    dynamicKeyLinter,
+    dynamicJsxPropLinter,
+};
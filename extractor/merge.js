@@ -0,0 +1,205 @@
+const fs = require('fs');
+const PoParser = require('gettext-parser').po;
+const { parsePo } = require('../loader/po');
+
+/**
+ * @typedef {import('gettext-extractor/dist/builder').IMessage} ExtractedMessage
+ * @typedef {import('gettext-parser').GetTextTranslation} PoEntry
+ * @typedef {import('gettext-parser').GetTextComment} PoComments
+ * @typedef {import('gettext-parser').GetTextTranslations
+ *     & {obsolete?: GetTextTranslationsMap}} PoFile - Obsolete entries are missing in @types/gettext-parser
+ * @typedef {import('gettext-parser').GetTextTranslations['translations']} GetTextTranslationsMap
+ * @typedef {{added: number, changed: number, obsoleted: number}} MergeStats
+ * @typedef {import('./output').PoCompileOptions} PoCompileOptions
+ */
+
+// Minimum similarity of an old msgid to a new msgid, for the old translation to be reused as fuzzy translation. This is
+// the same threshold as used by msgmerge.
+const FUZZY_SIMILARITY_THRESHOLD = .6;
+
+/**
+ * Update an existing .po translation file with freshly extracted messages, similar to msgmerge: existing translations
+ * are kept, new messages are added, messages similar to a previously translated message get the old translation
+ * marked as fuzzy with the previous msgid as #| comment, and messages that do not exist anymore become obsolete #~
+ * entries.
+ * @param {string} filename
+ * @param {ExtractedMessage[]} messages
+ * @param {PoCompileOptions} [compileOptions]
+ * @returns {MergeStats}
+ */
+function mergePoFile(filename, messages, compileOptions) {
+    const poFile = /** @type {PoFile} */ (parsePo(fs.readFileSync(filename)));
+    const stats = mergeMessages(poFile, messages);
+    fs.writeFileSync(filename, PoParser.compile(poFile, compileOptions));
+    return stats;
+}
+
+/**
+ * @param {PoFile} poFile - Gets modified in place
+ * @param {ExtractedMessage[]} messages
+ * @returns {MergeStats}
+ */
+function mergeMessages(poFile, messages) {
+    const stats = { added: 0, changed: 0, obsoleted: 0 };
+    const oldTranslations = poFile.translations;
+    const obsolete = poFile.obsolete || {};
+    const pluralCount = getPluralCount(poFile.headers);
+    /** @type {GetTextTranslationsMap} */
+    const translations = { '': { '': oldTranslations[''] && oldTranslations[''][''] } }; // keep the header entry
+    if (!translations['']['']) delete translations[''][''];
+
+    for (const { text: msgid, textPlural: msgidPlural, context, references, comments } of messages) {
+        if (msgid === null) continue;
+        const msgctxt = context || '';
+        const oldEntry = (oldTranslations[msgctxt] && oldTranslations[msgctxt][msgid])
+            || (obsolete[msgctxt] && obsolete[msgctxt][msgid]); // revive previously obsoleted entries
+        /** @type {PoEntry} */
+        let entry;
+
+        if (oldEntry) {
+            entry = oldEntry;
+            if (obsolete[msgctxt] && obsolete[msgctxt][msgid] === oldEntry) {
+                delete obsolete[msgctxt][msgid];
+                stats.added++;
+            }
+            if ((oldEntry.msgid_plural || null) !== (msgidPlural || null)) {
+                // The plural form changed, or the message changed from singular to plural or vice versa.
+                entry = createEntry(msgid, msgidPlural, msgctxt, pluralCount, oldEntry);
+                stats.changed++;
+            }
+        } else {
+            const similarEntry = findSimilarEntry(msgid, oldTranslations[msgctxt]);
+            entry = createEntry(msgid, msgidPlural, msgctxt, pluralCount, similarEntry);
+            stats[similarEntry ? 'changed' : 'added']++;
+        }
+
+        entry.comments = {
+            ...(/** @type {PoComments} */ (entry.comments)),
+            reference: references.join('\n'),
+            extracted: comments.join('\n'),
+        };
+        translations[msgctxt] = translations[msgctxt] || {};
+        translations[msgctxt][msgid] = entry;
+    }
+
+    // Move entries which are not in use anymore to the obsolete entries.
+    for (const [msgctxt, contextEntries] of Object.entries(oldTranslations)) {
+        for (const [msgid, oldEntry] of Object.entries(contextEntries)) {
+            if (!msgid || (translations[msgctxt] && translations[msgctxt][msgid])) continue;
+            obsolete[msgctxt] = obsolete[msgctxt] || {};
+            obsolete[msgctxt][msgid] = {
+                ...oldEntry,
+                comments: oldEntry.comments && {
+                    ...oldEntry.comments,
+                    reference: '', // references and extracted comments are meaningless for obsolete entries
+                    extracted: '',
+                },
+            };
+            stats.obsoleted++;
+        }
+    }
+
+    poFile.translations = translations;
+    poFile.obsolete = obsolete;
+    return stats;
+}
+
+/**
+ * @param {string} msgid
+ * @param {string | null | undefined} msgidPlural
+ * @param {string} msgctxt
+ * @param {number} pluralCount
+ * @param {PoEntry | null} [previousEntry] - Entry whose translation is reused as fuzzy translation
+ * @returns {PoEntry}
+ */
+function createEntry(msgid, msgidPlural, msgctxt, pluralCount, previousEntry) {
+    /** @type {PoEntry} */
+    const entry = {
+        msgid,
+        msgstr: new Array(msgidPlural ? pluralCount : 1).fill(''),
+    };
+    if (msgctxt) entry.msgctxt = msgctxt;
+    if (msgidPlural) entry.msgid_plural = msgidPlural;
+    if (!previousEntry || !previousEntry.msgstr.some(Boolean)) return entry;
+
+    entry.msgstr = entry.msgstr.map((_, i) => previousEntry.msgstr[Math.min(i, previousEntry.msgstr.length - 1)]);
+    const previousComments = previousEntry.comments;
+    const flags = previousComments && previousComments.flag ? previousComments.flag.split(/,\s*/) : [];
+    entry.comments = {
+        translator: previousComments ? previousComments.translator : '',
+        reference: '',
+        extracted: '',
+        flag: [...new Set([...flags, 'fuzzy'])].join(', '),
+        previous: [
+            ...(previousEntry.msgctxt ? [`msgctxt ${JSON.stringify(previousEntry.msgctxt)}`] : []),
+            `msgid ${JSON.stringify(previousEntry.msgid)}`,
+            ...(previousEntry.msgid_plural ? [`msgid_plural ${JSON.stringify(previousEntry.msgid_plural)}`] : []),
+        ].join('\n'),
+    };
+    return entry;
+}
+
+/**
+ * Find the translated entry with the msgid most similar to the given msgid, if any is similar enough.
+ * @param {string} msgid
+ * @param {Record<string, PoEntry> | undefined} entries
+ * @returns {PoEntry | null}
+ */
+function findSimilarEntry(msgid, entries) {
+    if (!entries) return null;
+    let bestEntry = null;
+    let bestSimilarity = FUZZY_SIMILARITY_THRESHOLD;
+    for (const entry of Object.values(entries)) {
+        if (!entry.msgid || !entry.msgstr.some(Boolean)) continue;
+        const similarity = calculateSimilarity(msgid, entry.msgid);
+        if (similarity < bestSimilarity) continue;
+        bestEntry = entry;
+        bestSimilarity = similarity;
+    }
+    return bestEntry;
+}
+
+/**
+ * Similarity of two strings as Sørensen-Dice coefficient of their character bigrams, between 0 and 1.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function calculateSimilarity(a, b) {
+    if (a === b) return 1;
+    if (a.length < 2 || b.length < 2) return 0;
+    // Quick check whether the lengths make a sufficient similarity impossible.
+    if (2 * Math.min(a.length, b.length) / (a.length + b.length) < FUZZY_SIMILARITY_THRESHOLD) return 0;
+
+    /** @type {Map<string, number>} */
+    const bigrams = new Map();
+    for (let i = 0; i < a.length - 1; i++) {
+        const bigram = a.substring(i, i + 2);
+        bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+    }
+    let intersectionSize = 0;
+    for (let i = 0; i < b.length - 1; i++) {
+        const bigram = b.substring(i, i + 2);
+        const count = bigrams.get(bigram) || 0;
+        if (!count) continue;
+        bigrams.set(bigram, count - 1);
+        intersectionSize++;
+    }
+    return 2 * intersectionSize / (a.length + b.length - 2);
+}
+
+/**
+ * @param {Record<string, string>} headers
+ * @returns {number}
+ */
+function getPluralCount(headers) {
+    const pluralFormsHeader = Object.entries(headers || {})
+        .find(([header]) => header.toLowerCase() === 'plural-forms');
+    const match = pluralFormsHeader && pluralFormsHeader[1].match(/nplurals\s*=\s*(\d+)/);
+    return match ? parseInt(match[1], 10) : 2;
+}
+
+module.exports = {
+    mergePoFile,
+    mergeMessages,
+};
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const PoCompiler = require('gettext-parser').po;
+
+/**
+ * @typedef {import('gettext-extractor/dist/builder').IMessage} ExtractedMessage
+ * @typedef {import('gettext-parser').GetTextTranslation} PoEntry
+ * @typedef {import('gettext-parser').GetTextTranslations} PoFile
+ * @typedef {{
+ *     sort?: 'msgid' | 'reference',
+ *     referenceLineNumbers: boolean,
+ *     referenceBase?: string,
+ *     wrapWidth: number,
+ *     headers: Record<string, string>,
+ * }} OutputOptions - Without sort, the entries keep their order. A wrapWidth of 0 disables wrapping.
+ * @typedef {{foldLength: number, sort: ((a: PoEntry, b: PoEntry) => number) | false}} PoCompileOptions
+ */
+
+/**
+ * Write the messages as .pot file. The output only depends on the messages and options, such that re-extracting
+ * unchanged code produces an identical file. Notably, no POT-Creation-Date header is written.
+ * @param {string} filename
+ * @param {ExtractedMessage[]} messages
+ * @param {OutputOptions} options
+ */
+function savePotFile(filename, messages, options) {
+    fs.writeFileSync(filename, compilePotFile(messages, options));
+}
+
+/**
+ * @param {ExtractedMessage[]} messages
+ * @param {OutputOptions} options
+ * @returns {string}
+ */
+function compilePotFile(messages, options) {
+    /** @type {PoFile} */
+    const potFile = {
+        charset: 'utf-8',
+        headers: {
+            ...options.headers,
+            'Content-Type': 'text/plain; charset=UTF-8',
+        },
+        translations: {},
+    };
+    for (const { text: msgid, textPlural: msgidPlural, context, references, comments } of messages) {
+        if (msgid === null) continue;
+        const msgctxt = context || '';
+        /** @type {PoEntry} */
+        const entry = {
+            msgid,
+            msgstr: msgidPlural ? ['', ''] : [''],
+            comments: {
+                translator: '',
+                reference: references.join('\n'),
+                extracted: comments.join('\n'),
+                flag: '',
+                previous: '',
+            },
+        };
+        if (msgctxt) entry.msgctxt = msgctxt;
+        if (msgidPlural) entry.msgid_plural = msgidPlural;
+        potFile.translations[msgctxt] = potFile.translations[msgctxt] || {};
+        potFile.translations[msgctxt][msgid] = entry;
+    }
+    return PoCompiler.compile(potFile, getCompileOptions(options)).toString('utf8');
+}
+
+/**
+ * Options for compiling .pot and .po files via gettext-parser.
+ * @param {OutputOptions} options
+ * @returns {PoCompileOptions}
+ */
+function getCompileOptions({ sort, wrapWidth }) {
+    return {
+        foldLength: wrapWidth,
+        sort: sort === 'reference' ? compareByReference : sort === 'msgid' ? compareByMsgid : false,
+    };
+}
+
+/**
+ * Normalize the references of the messages, such that they don't depend on the machine the extractor runs on: paths
+ * are relative to the reference base with forward slashes, and references are sorted by file and line. Line numbers
+ * are optionally omitted, such that moving code around does not change the output.
+ * @param {ExtractedMessage[]} messages
+ * @param {OutputOptions} options
+ * @returns {ExtractedMessage[]}
+ */
+function formatReferences(messages, { referenceLineNumbers, referenceBase = process.cwd() }) {
+    return messages.map((message) => {
+        const references = message.references
+            .map(parseReference)
+            .map(({ file, line }) => ({
+                file: path.relative(referenceBase, file).split(path.sep).join('/'),
+                line: referenceLineNumbers ? line : null,
+            }))
+            .sort(compareReferences)
+            .map(({ file, line }) => line !== null ? `${file}:${line}` : file);
+        return { ...message, references: [...new Set(references)] };
+    });
+}
+
+/**
+ * Compare entries by msgid and then by context. Strings are compared by code points instead of localeCompare, which
+ * depends on the locale of the machine.
+ * @param {PoEntry} a
+ * @param {PoEntry} b
+ * @returns {number}
+ */
+function compareByMsgid(a, b) {
+    return compareStrings(a.msgid, b.msgid) || compareStrings(a.msgctxt || '', b.msgctxt || '');
+}
+
+/**
+ * Compare entries by their first reference, such that entries are grouped by file and ordered by their occurrence.
+ * Entries without references, e.g. obsolete entries, are sorted last, by msgid.
+ * @param {PoEntry} a
+ * @param {PoEntry} b
+ * @returns {number}
+ */
+function compareByReference(a, b) {
+    const referenceA = a.comments && a.comments.reference ? a.comments.reference.split('\n')[0] : null;
+    const referenceB = b.comments && b.comments.reference ? b.comments.reference.split('\n')[0] : null;
+    if (referenceA === null || referenceB === null) {
+        return Number(referenceA === null) - Number(referenceB === null) || compareByMsgid(a, b);
+    }
+    return compareReferences(parseReference(referenceA), parseReference(referenceB)) || compareByMsgid(a, b);
+}
+
+/**
+ * @param {{file: string, line: number | null}} a
+ * @param {{file: string, line: number | null}} b
+ * @returns {number}
+ */
+function compareReferences(a, b) {
+    return compareStrings(a.file, b.file) || (a.line || 0) - (b.line || 0);
+}
+
+/**
+ * @param {string} reference - A reference in the format file:line or file
+ * @returns {{file: string, line: number | null}}
+ */
+function parseReference(reference) {
+    const match = reference.match(/^(.*):(\d+)$/);
+    return match
+        ? { file: match[1], line: parseInt(match[2], 10) }
+        : { file: reference, line: null };
+}
+
+/**
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function compareStrings(a, b) {
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+module.exports = {
+    savePotFile,
+    compilePotFile,
+    getCompileOptions,
+    formatReferences,
+};
@@ -0,0 +1,409 @@
+const fs = require('fs');
+const path = require('path');
+const Readable = require('stream').Readable;
+const ts = require('typescript');
+const { parseLocaleMessages } = require('../loader/messages');
+const SAXParserPromise = import('parse5-sax-parser'); // es modules cannot be imported via require
+
+/**
+ * @typedef {import('./jsExtractors').Diagnostic} Diagnostic
+ * @typedef {import('../loader/common').TranslationEntry} TranslationEntry
+ * @typedef {{
+ *     delimiters?: [string, string],
+ *     report?: (diagnostic: Diagnostic) => void,
+ *     reference?: (filename: string) => void,
+ * }} VueParseOptions - Delimiters are the template interpolation delimiters as in Vue's `delimiters` option. Problems
+ *     with the file, e.g. unsupported i18n custom blocks or missing referenced files, are passed to report. The paths
+ *     of files referenced via src attributes are passed to reference, also if the files do not exist.
+ * @typedef {{
+ *     type: 'script' | 'template' | 'i18n',
+ *     code: string,
+ *     line: number,
+ *     filename?: string,
+ *     scriptKind?: ts.ScriptKind,
+ *     comments?: string[],
+ * }} Snippet - A js snippet to parse, with the line it starts at and, if it does not originate from the parsed vue file
+ *     itself, the file it originates from. Translator comments from the template are passed as comments.
+ * @typedef {{
+ *     tagName: 'template' | 'script' | 'i18n',
+ *     attrs: Record<string, string>,
+ *     start: number,
+ *     line: number,
+ *     end?: number,
+ * }} Section - A top-level section of a single file component.
+ */
+
+const selfClosingTags = [
+    'area',
+    'base',
+    'br',
+    'col',
+    'command',
+    'embed',
+    'hr',
+    'img',
+    'input',
+    'keygen',
+    'link',
+    'meta',
+    'param',
+    'source',
+    'track',
+    'wbr'
+];
+
+/** @type {Record<string, ts.ScriptKind>} */
+const scriptKinds = {
+    js: ts.ScriptKind.JS,
+    jsx: ts.ScriptKind.JSX,
+    ts: ts.ScriptKind.TS,
+    tsx: ts.ScriptKind.TSX,
+};
+
+/**
+ * Get the js snippets to parse from a vue single file component. These are the contents of all top-level `script`
+ * sections (e.g. `<script>` and `<script setup>`), the js expressions in the `template` section, and the message keys
+ * of `i18n` custom blocks, wrapped in $t calls. Sections referencing their content via an `src` attribute are followed.
+ * See https://vuejs.org/api/sfc-spec.html
+ * @param {string} filename
+ * @param {VueParseOptions} [options]
+ * @returns {Promise<Snippet[]>}
+ */
+async function parseVueFile(filename, options = {}) {
+    const { report = () => {}, reference = () => {} } = options;
+    const content = fs.readFileSync(filename, {
+        encoding: 'utf8',
+    });
+    const sections = await findSections(content);
+
+    /** @type {Snippet[]} */
+    const snippets = [];
+    /** @type {ts.ScriptKind | undefined} */
+    let templateScriptKind;
+
+    for (const { attrs, start, line, end } of sections.filter(({ tagName }) => tagName === 'script')) {
+        const scriptKind = scriptKinds[attrs.lang || 'js'];
+        if (scriptKind === ts.ScriptKind.TS || scriptKind === ts.ScriptKind.TSX) {
+            // Typescript components can use typescript syntax in template expressions, too.
+            templateScriptKind = ts.ScriptKind.TS;
+        }
+
+        if (attrs.src) {
+            const srcFilename = resolveSrc(filename, attrs.src, line, report, reference);
+            if (!srcFilename) continue;
+            snippets.push({
+                type: 'script',
+                code: fs.readFileSync(srcFilename, { encoding: 'utf8' }),
+                line: 1,
+                filename: srcFilename,
+                scriptKind: scriptKinds[attrs.lang || path.extname(srcFilename).substring(1)],
+            });
+        } else if (end !== undefined) {
+            snippets.push({
+                type: 'script',
+                code: content.substring(start, end),
+                line,
+                scriptKind,
+            });
+        }
+    }
+
+    for (const { attrs, start, line, end } of sections.filter(({ tagName }) => tagName === 'template')) {
+        if (attrs.src) {
+            const srcFilename = resolveSrc(filename, attrs.src, line, report, reference);
+            if (!srcFilename) continue;
+            const template = fs.readFileSync(srcFilename, { encoding: 'utf8' });
+            const templateSnippets = await parseTemplate(template, 1, options);
+            snippets.push(...templateSnippets.map((snippet) => ({ ...snippet, filename: srcFilename })));
+        } else if (end !== undefined) {
+            snippets.push(...await parseTemplate(content.substring(start, end), line, options));
+        }
+    }
+
+    for (const { attrs, start, line, end } of sections.filter(({ tagName }) => tagName === 'i18n')) {
+        if (attrs.src) {
+            const srcFilename = resolveSrc(filename, attrs.src, line, report, reference);
+            if (!srcFilename) continue;
+            const i18nBlock = fs.readFileSync(srcFilename, { encoding: 'utf8' });
+            const i18nBlockSnippets = parseI18nBlock(srcFilename, i18nBlock, 1, attrs, report);
+            snippets.push(...i18nBlockSnippets.map((snippet) => ({ ...snippet, filename: srcFilename })));
+        } else if (end !== undefined) {
+            snippets.push(...parseI18nBlock(filename, content.substring(start, end), line, attrs, report));
+        }
+    }
+
+    return snippets.map((snippet) => ({ scriptKind: templateScriptKind, ...snippet }));
+}
+
+/**
+ * Get the location of the top-level `template`, `script` and `i18n` sections.
+ * @param {string} content
+ * @returns {Promise<Section[]>}
+ */
+async function findSections(content) {
+    const { SAXParser } = await SAXParserPromise;
+    return new Promise((resolve) => {
+        const htmlParser = new SAXParser({ sourceCodeLocationInfo: true });
+
+        let depth = 0;
+        /** @type {Section[]} */
+        const sections = [];
+
+        const isInI18nSection = () => {
+            const section = sections[sections.length - 1];
+            return depth > 0 && !!section && section.tagName === 'i18n' && section.end === undefined;
+        };
+
+        htmlParser.on('startTag', ({ tagName, attrs, selfClosing, sourceCodeLocation }) => {
+            if (isInI18nSection()) return; // i18n sections contain raw messages, which might include html tags
+
+            if (depth === 0
+                && (tagName === 'template' || tagName === 'script' || tagName === 'i18n')
+                && sourceCodeLocation) {
+                sections.push({
+                    tagName,
+                    attrs: attrs.reduce((result, { name, value }) => ({ ...result, [name]: value }), {}),
+                    start: sourceCodeLocation.endOffset,
+                    line: sourceCodeLocation.endLine,
+                });
+            }
+
+            if (!(selfClosing || selfClosingTags.indexOf(tagName) > -1)) {
+                depth++;
+            }
+        });
+
+        htmlParser.on('endTag', ({ tagName, sourceCodeLocation }) => {
+            if (isInI18nSection() && tagName !== 'i18n') return;
+            depth--;
+
+            const section = sections[sections.length - 1];
+            if (depth === 0 && section && section.tagName === tagName && sourceCodeLocation) {
+                section.end = sourceCodeLocation.startOffset;
+            }
+        });
+
+        const htmlStream = Readable.from([content]);
+        htmlStream.on('end', () => resolve(sections));
+        htmlStream.pipe(htmlParser);
+    });
+}
+
+/**
+ * Get the js expressions in a template.
+ * @param {string} template
+ * @param {number} line - The line the template starts at
+ * @param {VueParseOptions} options
+ * @returns {Promise<Snippet[]>}
+ */
+async function parseTemplate(template, line, { delimiters = ['{{', '}}'] }) {
+    const { SAXParser } = await SAXParserPromise;
+    return new Promise((resolve) => {
+        /** @type {Snippet[]} */
+        const snippets = [];
+        const lineOffset = line - 1;
+
+        // Translator comments `<!-- i18n: ... -->` apply to the next element, including its content.
+        let depth = 0;
+        /** @type {string | null} */
+        let comment = null;
+        /** @type {number | null} */
+        let commentDepth = null;
+
+        /** @param {Snippet} snippet */
+        const addSnippet = (snippet) => snippets.push(comment ? { ...snippet, comments: [comment] } : snippet);
+
+        // Parse the template looking for JS expressions
+        const templateParser = new SAXParser({ sourceCodeLocationInfo: true });
+
+        templateParser.on('comment', ({ text }) => {
+            const commentMatch = text.match(/^\s*i18n:\s*([\s\S]*?)\s*$/);
+            if (!commentMatch) return;
+            comment = commentMatch[1].replace(/\s*[\r\n]+\s*/g, ' ');
+            commentDepth = null;
+        });
+
+        templateParser.on('endTag', () => {
+            depth--;
+            if (depth !== commentDepth) return;
+            comment = null;
+            commentDepth = null;
+        });
+
+        // Look for JS expressions in tag attributes
+        templateParser.on('startTag', ({ tagName, attrs, selfClosing, sourceCodeLocation }) => {
+            const isSelfClosing = selfClosing || selfClosingTags.indexOf(tagName) > -1;
+            if (comment && commentDepth === null) {
+                commentDepth = depth;
+            }
+            if (!isSelfClosing) {
+                depth++;
+            }
+
+            if (!sourceCodeLocation || !('attrs' in sourceCodeLocation)) return;
+            const { attrs: attributeLocations } = (
+                /** @type {import('parse5').StartTagLocation} */ (sourceCodeLocation));
+            for (const attr of attrs) {
+                // We're looking for data bindings, events and directives
+                if (attr.name.match(/^(:|@|v-)/)) {
+                    addSnippet({
+                        type: 'template',
+                        code: attr.value,
+                        line: lineOffset + attributeLocations[attr.name].startLine,
+                    });
+                }
+                // vue-i18n component interpolation. Called "i18n" until vue-i18n v9 with message in attribute
+                // "path", and starting with v9 "i18n-t" with attribute "keypath".
+                if (/^i18n(-t)?$/.test(tagName) && /^:?(key)?path$/.test(attr.name)) {
+                    // wrap the path / key in a js snippet including $t for detection by the javascript parser
+                    const stringDelimiter = !attr.name.startsWith(':')
+                        ? ['"', '\'', '`'].find((delimiter) => !attr.value.includes(delimiter))
+                        : ''; // none required as the value is already a js snippet with strings marked as such
+                    const code = `$t(${stringDelimiter}${attr.value}${stringDelimiter})`;
+                    addSnippet({
+                        type: 'template',
+                        code,
+                        line: lineOffset + attributeLocations[attr.name].startLine,
+                    });
+                }
+                // vue-i18n's v-t directive, with the path as string or as path property of an object
+                if (/^v-t(\.|$)/.test(attr.name)) {
+                    addSnippet({
+                        type: 'template',
+                        code: `$t(${getVTPathExpression(attr.value)})`,
+                        line: lineOffset + attributeLocations[attr.name].startLine,
+                    });
+                }
+            }
+
+            if (isSelfClosing && depth === commentDepth) {
+                // The comment only applied to this element.
+                comment = null;
+                commentDepth = null;
+            }
+        });
+
+        // Look for interpolations in text contents.
+        // The delimiters for interpolations are {{}} by default, but can be configured to match Vue's `delimiters`
+        // option. https://vuejs.org/api/application.html#app-config-compileroptions-delimiters
+        const [openingDelimiter, closingDelimiter] = delimiters.map((delimiter) =>
+            delimiter.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')); // escape regex special chars
+        const interpolationRegex = new RegExp(`${openingDelimiter}([\\s\\S]*?)${closingDelimiter}`);
+        templateParser.on('text', ({ text, sourceCodeLocation }) => {
+            if (!sourceCodeLocation) return;
+            let exprMatch;
+            let textLineOffset = 0;
+
+            while (exprMatch = text.match(interpolationRegex)) {
+                const code = exprMatch[1];
+                const prevLinesCount = text.substring(0, exprMatch.index).split(/\r\n|\r|\n/).length;
+                const matchedLinesCount = code.split(/\r\n|\r|\n/).length;
+
+                textLineOffset += prevLinesCount - 1;
+
+                addSnippet({
+                    type: 'template',
+                    code,
+                    line: lineOffset + sourceCodeLocation.startLine + textLineOffset,
+                })
+
+                text = text.substring(/** @type {number} */ (exprMatch.index) + exprMatch[0].length);
+
+                textLineOffset += matchedLinesCount - 1;
+            }
+        });
+
+        const templateStream = Readable.from([template]);
+        templateStream.on('end', () => resolve(snippets));
+        templateStream.pipe(templateParser);
+    });
+}
+
+/**
+ * Get the message keys in an `i18n` custom block, wrapped in $t calls. The block contains either the messages of
+ * multiple locales, keyed by locale, or only the messages of the locale specified in the `locale` attribute. Nested
+ * messages are extracted by their dot-separated path. Supported formats are json (the default) and yaml.
+ * See https://vue-i18n.intlify.dev/guide/advanced/sfc.html
+ * @param {string} filename - For error reporting
+ * @param {string} content
+ * @param {number} line - The line the block starts at
+ * @param {Record<string, string>} attrs
+ * @param {(diagnostic: Diagnostic) => void} report
+ * @returns {Snippet[]}
+ */
+function parseI18nBlock(filename, content, line, attrs, report) {
+    const lang = attrs.lang || 'json';
+    if (!['json', 'yaml', 'yml'].includes(lang)) {
+        report({
+            file: filename,
+            line,
+            type: 'file',
+            message: `i18n custom block with unsupported lang="${lang}" skipped.`,
+        });
+        return [];
+    }
+
+    /** @type {TranslationEntry[]} */
+    let entries;
+    try {
+        entries = parseLocaleMessages(content, !attrs.locale);
+    } catch (e) {
+        report({
+            file: filename,
+            line,
+            type: 'file',
+            message: `i18n custom block skipped: ${e instanceof Error ? e.message : e}`,
+        });
+        return [];
+    }
+    return entries.map(({ msgid, line: messageLine }) => ({
+        type: 'i18n',
+        code: `$t(${JSON.stringify(msgid)})`,
+        line: line - 1 + (messageLine || 1),
+    }));
+}
+
+/**
+ * Get the js expression of the message path from the value of a v-t directive, which is either the path itself, e.g.
+ * v-t="'message'", or an object with the path as property, e.g. v-t="{ path: 'message', args: { name } }".
+ * @param {string} value
+ * @returns {string}
+ */
+function getVTPathExpression(value) {
+    const sourceFile = ts.createSourceFile('', `(${value})`, ts.ScriptTarget.Latest, true);
+    const statement = sourceFile.statements[0];
+    if (!statement || !ts.isExpressionStatement(statement) || !ts.isParenthesizedExpression(statement.expression)
+        || !ts.isObjectLiteralExpression(statement.expression.expression)) return value;
+    const pathProperty = statement.expression.expression.properties.find((property) => property.name
+        && (ts.isIdentifier(property.name) || ts.isStringLiteral(property.name)) && property.name.text === 'path');
+    if (!pathProperty || !ts.isPropertyAssignment(pathProperty)) return value;
+    return pathProperty.initializer.getText(sourceFile);
+}
+
+/**
+ * Resolve the path of a file referenced via an `src` attribute relative to the single file component.
+ * @param {string} filename - The single file component
+ * @param {string} src
+ * @param {number} line - The line of the referencing section, for error reporting
+ * @param {(diagnostic: Diagnostic) => void} report
+ * @param {(filename: string) => void} reference
+ * @returns {string | null} - null if the file does not exist
+ */
+function resolveSrc(filename, src, line, report, reference) {
+    const srcFilename = path.join(path.dirname(filename), src);
+    reference(srcFilename);
+    if (!fs.existsSync(srcFilename)) {
+        report({
+            file: filename,
+            line,
+            type: 'file',
+            message: `Referenced file ${src} not found. Note that only relative paths are supported.`,
+        });
+        return null;
+    }
+    return srcFilename;
+}
+
+module.exports = {
+    parseVueFile,
+};
@@ -8,16 +8,17 @@ const path = require('path');
  */
 
 if (
-    process
-    && process.argv
-    && process.argv[2]
-    && !process.argv[2].includes('build')
-    && !process.argv[2].includes('serve')
-    && fs.existsSync(path.dirname(process.argv[2]))
-    && path.extname(process.argv[2])
+    require.main === module // invoked directly, in which case the output file may also be specified in the config
+    || (process
+        && process.argv
+        && process.argv[2]
+        && !process.argv[2].includes('build')
+        && !process.argv[2].includes('serve')
+        && fs.existsSync(path.dirname(process.argv[2]))
+        && path.extname(process.argv[2]))
 ) {
     // extractor
-    require('./extractor')();
+    require('./extractor/cli')(process.argv.slice(2));
 } else {
     module.exports = (/** @type {string} */ source) => {
         if (source) {
@@ -0,0 +1,305 @@
+const path = require('path');
+const { validateTranslation, validateTranslationSyntax } = require('./validate');
+const { parsePoFile } = require('./po');
+const { parseXliffFile } = require('./xliff');
+const { parseMessagesFile } = require('./messages');
+const { compileTranslations } = require('./compile');
+const { getTranslationKey } = require('../runtime');
+
+/**
+ * @typedef {{
+ *     msgctxt: string,
+ *     msgid: string,
+ *     msgid_plural?: string,
+ *     msgstr: string[],
+ *     fuzzy: boolean,
+ *     line?: number,
+ * }} TranslationEntry - An entry of a translation file, in the terms of gettext. An entry is untranslated if any msgstr
+ *     is empty. The line is the line of the translation in the file, if known.
+ * @typedef {{
+ *     language: string | null,
+ *     pluralForms: string | null,
+ *     hasSourceMessages: boolean,
+ *     entries: TranslationEntry[],
+ * }} TranslationFile - The language and Plural-Forms header of the file, if specified. hasSourceMessages is whether
+ *     the msgids are the messages in the source code, against which the translations can be validated, or only keys.
+ * @typedef {(source: string | Buffer, filename: string) => TranslationFile} TranslationFileParser
+ * @typedef {{
+ *     'fallback-to-msgid'?: boolean,
+ *     fuzzy?: boolean,
+ *     referenceLanguage?: string,
+ *     minCoverage?: number,
+ *     validate?: boolean,
+ *     pluralizationRule?: boolean,
+ *     precompile?: boolean,
+ *     parsers?: Record<string, TranslationFileParser>,
+ *     hmr?: boolean,
+ * }} ParseOptions - fallback-to-msgid uses the msgid as translation for untranslated and dropped fuzzy entries
+ *     (default true). fuzzy includes fuzzy translations (default false). The coverage of all languages but the
+ *     reference language (default 'en'), which is the language of the messages in the source code, is reported, and
+ *     the build fails if it is below minCoverage, in percent. validate checks the translations for syntax errors and
+ *     mismatching placeholders (default true). pluralizationRule exports a vue-i18n pluralization rule generated from
+ *     the Plural-Forms header alongside the translations (default false). precompile compiles the translations to
+ *     vue-i18n message functions at build time (default false), see compile.js. parsers adds or overrides parsers of
+ *     translation files by file extension, e.g. '.csv'. hmr enables hot module replacement of the translations in the
+ *     dev server (default true).
+ * @typedef {{translated: number, fuzzy: number, untranslated: number}} Coverage
+ * @typedef {{
+ *     translations: Record<string, string>,
+ *     translationLines: Record<string, number>,
+ *     language: string,
+ *     pluralizationRule: string | null,
+ *     warnings: string[],
+ *     errors: string[],
+ * }} ParseResult - The translation lines are the lines of the translations in the file, if known. The pluralization
+ *     rule is the code of a vue-i18n pluralization rule function, if requested. Warnings and errors are to be reported
+ *     by the loader, errors failing the build.
+ * @typedef {{code: string, columns: Record<string, number>, errors: string[]}} TranslationsCode - The code of the
+ *     translations object and the columns at which its entries start, by translation key
+ */
+
+/**
+ * Parsers of the supported translation file formats, by file extension.
+ * @type {Record<string, TranslationFileParser>}
+ */
+const TRANSLATION_FILE_PARSERS = {
+    '.po': parsePoFile,
+    '.pot': parsePoFile,
+    '.xlf': parseXliffFile,
+    '.xliff': parseXliffFile,
+    '.json': parseMessagesFile,
+    '.yaml': parseMessagesFile,
+    '.yml': parseMessagesFile,
+};
+
+/**
+ * Extensions of the files which the rollup / vite plugin handles by default. Other formats have to be enabled
+ * explicitly, as for example .json and .yaml files are commonly imported as plain data, not as translation files.
+ */
+const DEFAULT_TRANSLATION_FILE_EXTENSIONS = ['.po', '.pot'];
+
+// Names of the ParseOptions, for rejecting unknown options
+const PARSE_OPTION_NAMES = [
+    'fallback-to-msgid', 'fuzzy', 'referenceLanguage', 'minCoverage', 'validate', 'pluralizationRule', 'precompile',
+    'parsers', 'hmr',
+];
+
+/**
+ * Parse a translation file into an object mapping translation keys to translations.
+ * Plural entries are converted to vue-i18n's pipe syntax, keyed by `msgid | msgid_plural`, which is how the extractor
+ * extracts plural messages `singular | plural` from $tc calls. The choices are all msgstr[n] in order, such that they
+ * can be selected by the pluralization rule generated from the Plural-Forms header. Keys of entries with msgctxt are
+ * prefixed by the context and \u0004 as separator, see getTranslationKey in runtime.js.
+ * @param {string | Buffer} source
+ * @param {string} filename - The path of the file, which determines the parser by its extension, .po by default, and
+ *     from which the language is derived if the file does not specify it
+ * @param {ParseOptions} options
+ * @returns {ParseResult}
+ */
+function parseTranslations(source, filename, options) {
+    checkParseOptions(options);
+    const {
+        'fallback-to-msgid': fallbackToMsgid = true,
+        fuzzy: includeFuzzy = false,
+        referenceLanguage = 'en',
+        minCoverage,
+        validate = true,
+        pluralizationRule: generatePluralizationRule = false,
+    } = options;
+    const parseFile = getTranslationFileParser(filename, options.parsers) || parsePoFile;
+    const translationFile = parseFile(source, filename);
+
+    /** @type {Record<string, string>} */
+    const translations = {};
+    /** @type {Record<string, number>} */
+    const translationLines = {};
+    /** @type {Coverage} */
+    const coverage = { translated: 0, fuzzy: 0, untranslated: 0 };
+    /** @type {string[]} */
+    const warnings = [];
+    /** @type {string[]} */
+    const errors = [];
+    for (const entry of translationFile.entries) {
+        const { msgctxt, msgid, msgid_plural: msgidPlural } = entry;
+        const isTranslated = entry.msgstr.length > 0 && entry.msgstr.every(Boolean);
+        const isFuzzy = isTranslated && entry.fuzzy;
+        coverage[isFuzzy ? 'fuzzy' : isTranslated ? 'translated' : 'untranslated']++;
+
+        let msgstr = entry.msgstr;
+        if ((isFuzzy && !includeFuzzy) || !isTranslated) {
+            if (fallbackToMsgid) {
+                msgstr = msgidPlural ? [msgid, msgidPlural] : [msgid];
+            } else if (isFuzzy) {
+                continue; // drop fuzzy entries
+            }
+        } else if (validate) {
+            const problems = translationFile.hasSourceMessages
+                ? validateTranslation(entry)
+                : validateTranslationSyntax(msgstr.join(' | '));
+            const location = `${filename}${entry.line ? `:${entry.line}` : ''}`;
+            errors.push(...problems.map((problem) => `${location}: ${problem}`));
+        }
+
+        const translationKey = msgidPlural
+            ? `${getTranslationKey(msgctxt, msgid)} | ${msgidPlural}`
+            : getTranslationKey(msgctxt, msgid);
+        translations[translationKey] = msgidPlural ? msgstr.join(' | ') : msgstr[0] || '';
+        if (entry.line) translationLines[translationKey] = entry.line;
+    }
+
+    const language = translationFile.language || path.basename(filename, path.extname(filename));
+    if (language !== referenceLanguage) {
+        const total = coverage.translated + coverage.fuzzy + coverage.untranslated;
+        const coveragePercentage = total ? coverage.translated / total * 100 : 100;
+        const report = `${language}: ${coverage.translated} translated, ${coverage.fuzzy} fuzzy, `
+            + `${coverage.untranslated} untranslated (${coveragePercentage.toFixed(1)}% coverage)`;
+        if (minCoverage !== undefined && coveragePercentage < minCoverage) {
+            errors.push(`${report}, below the minimum coverage of ${minCoverage}%.`);
+        } else if (coverage.fuzzy || coverage.untranslated) {
+            warnings.push(report);
+        }
+    }
+
+    /** @type {string | null} */
+    let pluralizationRule = null;
+    if (generatePluralizationRule) {
+        const { pluralForms } = translationFile;
+        pluralizationRule = pluralForms ? createPluralizationRule(pluralForms) : null;
+        if (!pluralizationRule) {
+            warnings.push(`${language}: no valid Plural-Forms header, no pluralization rule generated.`);
+        }
+    }
+
+    return { translations, translationLines, language, pluralizationRule, warnings, errors };
+}
+
+/**
+ * Reject unknown options, notably options of po2json, which parsed the .po files previously. Its fuzzy and
+ * fallback-to-msgid options are supported as before, and its default format 'mf' is the format the translations are
+ * provided in, but other formats and options are not supported anymore and would otherwise be ignored silently.
+ * @param {object} options
+ * @throws {Error} - If there are unknown options
+ */
+function checkParseOptions(options) {
+    const unknownOptions = Object.entries(options)
+        .filter(([name, value]) => !PARSE_OPTION_NAMES.includes(name) && !(name === 'format' && value === 'mf'))
+        .map(([name, value]) => `${name}: ${JSON.stringify(value)}`);
+    if (!unknownOptions.length) return;
+    throw new Error(`Unsupported loader option(s) ${unknownOptions.join(', ')}. Note that po2json options other than `
+        + 'fuzzy, fallback-to-msgid and format \'mf\' are not supported anymore.');
+}
+
+/**
+ * Generate the code of the translations object, with the translations as string literals or as precompiled message
+ * functions. The code is a single line.
+ * @param {Record<string, string>} translations
+ * @param {{precompile?: boolean, column?: number}} options - column is the column at which the code will be inserted
+ *     into the module code, for the columns of the entries
+ * @returns {TranslationsCode}
+ */
+function generateTranslationsCode(translations, { precompile = false, column = 0 }) {
+    /** @type {Record<string, string>} */
+    let valueCodes = {};
+    /** @type {string[]} */
+    let errors = [];
+    if (precompile) {
+        ({ messages: valueCodes, errors } = compileTranslations(translations));
+    } else {
+        for (const [translationKey, translation] of Object.entries(translations)) {
+            valueCodes[translationKey] = JSON.stringify(translation);
+        }
+    }
+
+    let code = '{';
+    /** @type {Record<string, number>} */
+    const columns = {};
+    for (const [translationKey, valueCode] of Object.entries(valueCodes)) {
+        if (code.length > 1) code += ',';
+        columns[translationKey] = column + code.length;
+        code += `${JSON.stringify(translationKey)}:${valueCode}`;
+    }
+    code += '}';
+    return { code, columns, errors };
+}
+
+/**
+ * @param {string} filename
+ * @param {Record<string, TranslationFileParser>} [customParsers]
+ * @returns {TranslationFileParser | null} - null if the file is not a supported translation file
+ */
+function getTranslationFileParser(filename, customParsers = {}) {
+    const extension = path.extname(filename).toLowerCase();
+    return customParsers[extension] || TRANSLATION_FILE_PARSERS[extension] || null;
+}
+
+/**
+ * Create the code which makes a language module accept hot updates of itself, and pushes the updated translations into
+ * the vue-i18n instance registered via registerI18n in runtime.js. The previous translations of the module are passed
+ * along, such that they can be replaced without affecting other language files of the same locale. If no instance is
+ * registered, the module is invalidated, which results in a full page reload.
+ * @param {'webpack' | 'vite'} bundler - Webpack's module.hot or vite's import.meta.hot api is used
+ * @param {string} filename - The path of the translation file
+ * @param {string} language
+ * @param {string} messagesExpression - The code which references the module's translations
+ * @returns {string}
+ */
+function createHotUpdateCode(bundler, filename, language, messagesExpression) {
+    const locales = JSON.stringify([...new Set([language, path.basename(filename, path.extname(filename))])]);
+    if (bundler === 'webpack') {
+        // The module gets re-executed on updates. The data passed from dispose tells us that it's an update, and holds
+        // the translations of the previous module.
+        const update = `require('webpack-i18n-tools/runtime').updateLocaleMessages(${locales}, ${messagesExpression}, `
+            + 'module.hot.data.previousMessages)';
+        return 'if (module.hot) {\n'
+            + '    module.hot.accept();\n'
+            + `    module.hot.dispose(function (data) { data.previousMessages = ${messagesExpression}; });\n`
+            + `    if (module.hot.data && module.hot.data.previousMessages && !${update} && module.hot.invalidate) {\n`
+            + '        module.hot.invalidate();\n'
+            + '    }\n'
+            + '}';
+    }
+    // The accept callback of the previous module receives the updated module.
+    return 'import { updateLocaleMessages as __updateLocaleMessages } from \'webpack-i18n-tools/runtime\';\n'
+        + 'if (import.meta.hot) {\n'
+        + '    import.meta.hot.accept(function (newModule) {\n'
+        + `        if (!newModule || !__updateLocaleMessages(${locales}, newModule.default, ${messagesExpression})) {\n`
+        + '            import.meta.hot.invalidate();\n'
+        + '        }\n'
+        + '    });\n'
+        + '}';
+}
+
+/**
+ * Create the code of a vue-i18n pluralization rule from a gettext Plural-Forms header, e.g.
+ * `nplurals=3; plural=(n%10==1 && n%100!=11 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);`.
+ * The rule applies to messages with as many choices as the language has plural forms, i.e. gettext plural entries.
+ * For other messages in pipe syntax, vue-i18n's default rule is applied.
+ * See https://www.gnu.org/software/gettext/manual/html_node/Plural-forms.html and
+ * https://vue-i18n.intlify.dev/guide/essentials/pluralization.html#custom-pluralization
+ * @param {string} pluralForms
+ * @returns {string | null} - null if the header is invalid
+ */
+function createPluralizationRule(pluralForms) {
+    const match = pluralForms.match(/nplurals\s*=\s*(\d+)\s*;\s*plural\s*=\s*([^;]+);?/);
+    // The plural expression gets embedded as code, thus only allow the C syntax that gettext permits.
+    if (!match || !/^[n\d\s%?:<>=!&|()+\-*/]+$/.test(match[2])) return null;
+    const pluralCount = Number(match[1]);
+    const pluralExpression = match[2].trim();
+    return 'function (choice, choicesLength) {\n'
+        + '    var n = Math.abs(choice);\n'
+        + `    if (choicesLength === ${pluralCount}) return Number(${pluralExpression});\n`
+        + '    // vue-i18n\'s default rule\n'
+        // For two plural forms, two choices are already covered by the rule from the Plural-Forms header.
+        + (pluralCount !== 2 ? '    if (choicesLength === 2) return n ? (n > 1 ? 1 : 0) : 1;\n' : '')
+        + '    return n ? Math.min(n, 2) : 0;\n'
+        + '}';
+}
+
+module.exports = {
+    TRANSLATION_FILE_EXTENSIONS: Object.keys(TRANSLATION_FILE_PARSERS),
+    DEFAULT_TRANSLATION_FILE_EXTENSIONS,
+    parseTranslations,
+    generateTranslationsCode,
+    getTranslationFileParser,
+    createHotUpdateCode,
+};
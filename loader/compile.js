@@ -0,0 +1,131 @@
+/**
+ * @typedef {{messages: Record<string, string>, errors: string[]}} CompileResult - The code of the message functions by
+ *     translation key
+ */
+
+// The helpers which vue-i18n passes to message functions in the message context, see MessageContext in
+// https://github.com/intlify/vue-i18n-next/blob/master/packages/core-base/src/runtime.ts
+const MESSAGE_FUNCTION_HEADER = 'function (ctx) { const { normalize: _normalize, interpolate: _interpolate, '
+    + 'named: _named, list: _list, linked: _linked, plural: _plural, type: _type } = ctx; return ';
+// Linked messages at the start of a string, e.g. `@:key`, `@.lower:key` or `@:(key)`
+const LINKED_MESSAGE_REGEX = /^@(?:\.(\w+))?:(?:\(([^)]*)\)|([\w.\-]*\w))/;
+const PLACEHOLDER_NAME_REGEX = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * Compile translations to the code of vue-i18n message functions, equivalent to the functions generated by vue-i18n's
+ * message compiler at runtime. This way, the runtime-only build of vue-i18n can be used, which does not require
+ * `new Function` and is therefore compatible with a strict CSP.
+ * Messages which can not be compiled are kept as strings and reported as errors.
+ * @param {Record<string, string>} translations
+ * @returns {CompileResult}
+ */
+function compileTranslations(translations) {
+    /** @type {Record<string, string>} */
+    const messages = {};
+    /** @type {string[]} */
+    const errors = [];
+    for (const [translationKey, translation] of Object.entries(translations)) {
+        let messageCode;
+        try {
+            messageCode = compileMessage(translation);
+        } catch (e) {
+            errors.push(`Failed to precompile translation of ${JSON.stringify(translationKey)}: `
+                + `${e instanceof Error ? e.message : e}`);
+            messageCode = JSON.stringify(translation);
+        }
+        messages[translationKey] = messageCode;
+    }
+    return { messages, errors };
+}
+
+/**
+ * Compile a message in vue-i18n's message syntax to the code of a message function. Choices separated by pipes are
+ * selected via the plural helper, which applies the pluralization rule.
+ * @param {string} message
+ * @returns {string}
+ */
+function compileMessage(message) {
+    const choices = splitChoices(message);
+    const body = choices.length > 1
+        // As in vue-i18n, whitespace around the pipes is not part of the choices.
+        ? `_plural([${choices.map((choice) => compileChoice(choice.trim())).join(', ')}])`
+        : compileChoice(choices[0]);
+    return `${MESSAGE_FUNCTION_HEADER}${body} }`;
+}
+
+/**
+ * @param {string} choice - A message or a single choice of a message with pipes
+ * @returns {string}
+ */
+function compileChoice(choice) {
+    /** @type {string[]} */
+    const items = [];
+    let text = '';
+    const flushText = () => {
+        if (text) items.push(JSON.stringify(text));
+        text = '';
+    };
+    for (let i = 0; i < choice.length; i++) {
+        const char = choice[i];
+        if (char === '}') throw new Error(`Unbalanced } at position ${i}.`);
+        if (char === '@') {
+            const linkedMessageMatch = choice.substring(i).match(LINKED_MESSAGE_REGEX);
+            if (!linkedMessageMatch) {
+                text += char;
+                continue;
+            }
+            const [linkedMessage, modifier, parenthesizedKey, key] = linkedMessageMatch;
+            flushText();
+            items.push(`_linked(${JSON.stringify(parenthesizedKey !== undefined ? parenthesizedKey : key)}, `
+                + `${modifier ? JSON.stringify(modifier) : 'undefined'}, _type)`);
+            i += linkedMessage.length - 1;
+            continue;
+        }
+        if (char !== '{') {
+            text += char;
+            continue;
+        }
+        const end = choice.indexOf('}', i);
+        if (end === -1) throw new Error(`Unbalanced { at position ${i}.`);
+        const placeholder = choice.substring(i + 1, end).trim();
+        const literalMatch = placeholder.match(/^'([^']*)'$/);
+        if (literalMatch) {
+            text += literalMatch[1];
+        } else if (/^\d+$/.test(placeholder)) {
+            flushText();
+            items.push(`_interpolate(_list(${parseInt(placeholder, 10)}))`);
+        } else if (PLACEHOLDER_NAME_REGEX.test(placeholder)) {
+            flushText();
+            items.push(`_interpolate(_named(${JSON.stringify(placeholder)}))`);
+        } else {
+            throw new Error(`Unsupported placeholder {${placeholder}}.`);
+        }
+        i = end;
+    }
+    flushText();
+    return `_normalize([${items.join(', ')}])`;
+}
+
+/**
+ * Split a message at pipes which are not part of a placeholder.
+ * @param {string} message
+ * @returns {string[]}
+ */
+function splitChoices(message) {
+    const choices = [''];
+    let isInPlaceholder = false;
+    for (const char of message) {
+        if (char === '{') isInPlaceholder = true;
+        if (char === '}') isInPlaceholder = false;
+        if (char === '|' && !isInPlaceholder) {
+            choices.push('');
+        } else {
+            choices[choices.length - 1] += char;
+        }
+    }
+    return choices;
+}
+
+module.exports = {
+    compileTranslations,
+};
@@ -0,0 +1,92 @@
+const YAML = require('yaml');
+
+/**
+ * @typedef {import('./common').TranslationFile} TranslationFile
+ * @typedef {import('./common').TranslationEntry} TranslationEntry
+ */
+
+/**
+ * Parse a json or yaml file with vue-i18n locale messages, i.e. an object mapping keys to messages. Nested messages are
+ * keyed by their dot-separated path, like in vue-i18n. The keys can be the original messages as in files converted via
+ * convertToJsonLib, or arbitrary keys. The language is not specified in the file, but derived from the filename.
+ * @param {string | Buffer} source
+ * @param {string} filename
+ * @returns {TranslationFile}
+ */
+function parseMessagesFile(source, filename) {
+    /** @type {TranslationEntry[]} */
+    let entries;
+    try {
+        entries = parseLocaleMessages(source.toString());
+    } catch (e) {
+        throw new Error(`${filename}: ${e instanceof Error ? e.message : e}`);
+    }
+
+    return {
+        language: null,
+        pluralForms: null,
+        // Files converted via convertToJsonLib are keyed by the original messages, but we can not tell them apart from
+        // files with arbitrary keys.
+        hasSourceMessages: false,
+        entries,
+    };
+}
+
+/**
+ * Parse vue-i18n locale messages in json or yaml format into entries keyed by the messages' dot-separated paths, with
+ * the line of each message. Also used for the i18n custom blocks of vue single file components, which can contain the
+ * messages of multiple locales, keyed by locale.
+ * @param {string} source
+ * @param {boolean} [isKeyedByLocale] - Whether the messages are keyed by locale. The entries of all locales are
+ *     returned, keyed by their path within their locale.
+ * @returns {TranslationEntry[]}
+ */
+function parseLocaleMessages(source, isKeyedByLocale = false) {
+    // Yaml is a superset of json, such that we can parse both via the yaml parser, which provides source locations.
+    const lineCounter = new YAML.LineCounter();
+    const document = YAML.parseDocument(source, { lineCounter });
+    if (document.errors.length) {
+        throw new Error(`failed to parse locale messages: ${document.errors[0].message}`);
+    }
+
+    /** @type {TranslationEntry[]} */
+    const entries = [];
+    /**
+     * @param {unknown} node
+     * @param {string} path
+     */
+    const collectMessages = (node, path) => {
+        if (node === null) return;
+        if (!YAML.isMap(node)) throw new Error('locale messages must be an object.');
+        for (const { key, value } of node.items) {
+            if (!YAML.isScalar(key)) continue;
+            const keyPath = path ? `${path}.${key.value}` : String(key.value);
+            if (YAML.isMap(value)) {
+                collectMessages(value, keyPath);
+            } else if (YAML.isScalar(value) && (typeof value.value === 'string' || value.value === null)) {
+                entries.push({
+                    msgctxt: '',
+                    msgid: keyPath,
+                    msgstr: [value.value || ''],
+                    fuzzy: false,
+                    line: value.range ? lineCounter.linePos(value.range[0]).line : undefined,
+                });
+            } else {
+                throw new Error(`the message ${keyPath} is not a string.`);
+            }
+        }
+    };
+    if (isKeyedByLocale && YAML.isMap(document.contents)) {
+        for (const { value: localeMessages } of document.contents.items) {
+            collectMessages(localeMessages, '');
+        }
+    } else {
+        collectMessages(document.contents, '');
+    }
+    return entries;
+}
+
+module.exports = {
+    parseMessagesFile,
+    parseLocaleMessages,
+};
@@ -0,0 +1,116 @@
+const PoParser = require('gettext-parser').po;
+
+/**
+ * @typedef {import('./common').TranslationFile} TranslationFile
+ * @typedef {import('./common').TranslationEntry} TranslationEntry
+ */
+
+/**
+ * Parse a gettext .po or .pot file with gettext-parser, defaulting to utf8 if the file does not specify a charset.
+ * @param {string | Buffer} source
+ * @returns {import('gettext-parser').GetTextTranslations}
+ */
+function parsePo(source) {
+    return PoParser.parse(
+        source,
+        // Later versions of gettext-parser expect an options object, but @types/gettext-parser still has the old type
+        // of expecting the default charset as second parameter. Thus, we pass it in a way which is compatible with both
+        Object.assign('utf8', { defaultCharset: 'utf8' }),
+    );
+}
+
+/**
+ * Parse a gettext .po or .pot file.
+ * @param {string | Buffer} source
+ * @returns {TranslationFile}
+ */
+function parsePoFile(source) {
+    const poFile = parsePo(source);
+    const entryLines = findEntryLines(source.toString());
+
+    /** @type {TranslationEntry[]} */
+    const entries = [];
+    for (const [msgctxt, contextEntries] of Object.entries(poFile.translations)) {
+        for (const [msgid, entry] of Object.entries(contextEntries)) {
+            if (!msgid) continue; // skip headers
+            entries.push({
+                msgctxt,
+                msgid,
+                msgid_plural: entry.msgid_plural,
+                msgstr: entry.msgstr,
+                fuzzy: !!entry.comments && /\bfuzzy\b/.test(entry.comments.flag),
+                line: entryLines.get(`${msgctxt}\u0004${msgid}`),
+            });
+        }
+    }
+
+    return {
+        language: getHeader(poFile.headers, 'Language'),
+        pluralForms: getHeader(poFile.headers, 'Plural-Forms'),
+        hasSourceMessages: true,
+        entries,
+    };
+}
+
+/**
+ * Find the line numbers of the entries' msgstr in a .po file, as gettext-parser does not provide source locations.
+ * @param {string} source
+ * @returns {Map<string, number>} - Keyed by msgctxt and msgid, separated by \u0004
+ */
+function findEntryLines(source) {
+    /** @type {Map<string, number>} */
+    const entryLines = new Map();
+    let msgctxt = '';
+    let msgid = '';
+    /** @type {string | null} */
+    let keyword = null;
+    const lines = source.split(/\r\n|\r|\n/);
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+        const keywordMatch = line.match(/^(msgctxt|msgid|msgid_plural|msgstr(?:\[\d+])?)\s+(".*")$/);
+        if (keywordMatch) {
+            if (keyword && keyword.startsWith('msgstr') && !keywordMatch[1].startsWith('msgstr')) {
+                msgctxt = ''; // start of the next entry
+            }
+            keyword = keywordMatch[1];
+            const value = parsePoString(keywordMatch[2]);
+            if (keyword === 'msgctxt') {
+                msgctxt = value;
+            } else if (keyword === 'msgid') {
+                msgid = value;
+            } else if (keyword.startsWith('msgstr') && !entryLines.has(`${msgctxt}\u0004${msgid}`)) {
+                entryLines.set(`${msgctxt}\u0004${msgid}`, i + 1);
+            }
+        } else if (line.startsWith('"')) {
+            // continuation of a multiline string
+            if (keyword === 'msgctxt') msgctxt += parsePoString(line);
+            if (keyword === 'msgid') msgid += parsePoString(line);
+        }
+    }
+    return entryLines;
+}
+
+/**
+ * @param {string} quotedString - A string in a .po file, including the quotes
+ * @returns {string}
+ */
+function parsePoString(quotedString) {
+    /** @type {Record<string, string>} */
+    const escapes = { n: '\n', t: '\t', r: '\r', a: '\x07', b: '\b', f: '\f', v: '\v' };
+    return quotedString.trim().slice(1, -1).replace(/\\(.)/g, (_, char) => escapes[char] || char);
+}
+
+/**
+ * @param {Record<string, string>} headers
+ * @param {string} name
+ * @returns {string | null}
+ */
+function getHeader(headers, name) {
+    const header = Object.entries(headers || {}).find(([key]) => key.toLowerCase() === name.toLowerCase());
+    return header ? header[1] : null;
+}
+
+module.exports = {
+    parsePo,
+    parsePoFile,
+};
@@ -1,38 +1,78 @@
-const po2json = require('po2json');
+const path = require('path');
 const { createFilter } = require('@rollup/pluginutils');
+const {
+    DEFAULT_TRANSLATION_FILE_EXTENSIONS,
+    parseTranslations,
+    generateTranslationsCode,
+    getTranslationFileParser,
+    createHotUpdateCode,
+} = require('./common.js');
+const { createTranslationsSourceMap } = require('./sourceMap.js');
 
 /**
  * @typedef {import('rollup').Plugin} RollupPlugin
  * @typedef {import('@rollup/pluginutils').FilterPattern} RollupPluginFilterPattern
- * @typedef {Partial<Parameters<po2json.parse>[1]>
- *     & {include?: RollupPluginFilterPattern, exclude?: RollupPluginFilterPattern}} RollupPoLoaderOptions
+ * @typedef {import('./common').ParseOptions & {
+ *     include?: RollupPluginFilterPattern,
+ *     exclude?: RollupPluginFilterPattern,
+ *     extensions?: string[],
+ * }} RollupPoLoaderOptions - extensions are the extensions of the handled translation files, .po and .pot by default.
+ *     Files with the extension of a custom parser are handled, too.
  */
 
 /**
  * @param {RollupPoLoaderOptions} options
- * @returns {RollupPlugin}
+ * @returns {RollupPlugin & {configResolved: (config: {command: 'build' | 'serve'}) => void}}
  */
 module.exports = function rollupPoLoaderPlugin(options = {}) {
     const filter = createFilter(options.include, options.exclude);
+    const translationFileExtensions = [
+        ...(options.extensions || DEFAULT_TRANSLATION_FILE_EXTENSIONS),
+        ...Object.keys(options.parsers || {}),
+    ].map((extension) => extension.toLowerCase());
+    let isDevServer = false;
 
     return {
         name: 'po-loader',
 
+        // If used as a vite plugin, detect whether we're running in the dev server, which supports hot module
+        // replacement, see https://vitejs.dev/guide/api-plugin.html#configresolved. Not called by rollup.
+        configResolved(config) {
+            isDevServer = config.command === 'serve';
+        },
+
         transform(code, id) {
-            if (!id.endsWith('.po') || !filter(id)) return null;
+            if (!translationFileExtensions.includes(path.extname(id).toLowerCase())
+                || !getTranslationFileParser(id, options.parsers)
+                || !filter(id)) return null;
 
+            const { include, exclude, extensions, ...parseOptions } = options;
+            const { translations, translationLines, language, pluralizationRule, warnings, errors } =
+                parseTranslations(code, id, parseOptions);
+            const isHot = isDevServer && options.hmr !== false;
+            // The translations object is generated at the start of the code, after this prefix. For hot updates, the
+            // translations are additionally referenced by name.
+            const prefix = isHot ? 'const messages = ' : 'export default ';
+            const { code: translationsCode, columns, errors: compileErrors } = generateTranslationsCode(
+                translations,
+                { precompile: parseOptions.precompile, column: prefix.length },
+            );
+            errors.push(...compileErrors.map((error) => `${id}: ${error}`));
+            for (const warning of warnings) {
+                this.warn(warning);
+            }
+            if (errors.length) {
+                this.error(errors.join('\n'));
+            }
             return {
-                code: `export default ${po2json.parse(code, {
-                    // defaults
-                    format: 'mf',
-                    'fallback-to-msgid': true,
-
-                    ...options,
-
-                    // enforce stringification
-                    stringify: true,
-                })};`,
-                map: null,
+                code: `${prefix}${translationsCode};`
+                    + (isHot ? '\nexport default messages;' : '')
+                    + (parseOptions.pluralizationRule
+                        ? `\nexport const pluralizationRule = ${pluralizationRule || 'undefined'};`
+                        : '')
+                    + (isHot ? `\n${createHotUpdateCode('vite', id, language, 'messages')}` : ''),
+                // Map the translations to their lines in the translation file.
+                map: createTranslationsSourceMap(id, code, columns, translationLines),
                 moduleSideEffects: false,
             };
         },
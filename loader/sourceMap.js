@@ -0,0 +1,70 @@
+/**
+ * @typedef {{
+ *     version: number,
+ *     sources: string[],
+ *     sourcesContent: string[],
+ *     names: string[],
+ *     mappings: string,
+ * }} RawSourceMap
+ */
+
+const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Create a source map which maps the entries of the translations object in the generated module code to their lines
+ * in the translation file. The translations object is expected in the first line of the generated code, as generated
+ * by generateTranslationsCode in common.js.
+ * See https://sourcemaps.info/spec.html for the format.
+ * @param {string} filename - The path of the translation file
+ * @param {string} source - The content of the translation file
+ * @param {Record<string, number>} columns - The columns of the entries in the generated code, by translation key
+ * @param {Record<string, number>} lines - The lines of the translations in the translation file, by translation key
+ * @returns {RawSourceMap}
+ */
+function createTranslationsSourceMap(filename, source, columns, lines) {
+    const segments = Object.entries(columns)
+        .filter(([translationKey]) => lines[translationKey] !== undefined)
+        .map(([translationKey, column]) => ({ column, line: lines[translationKey] - 1 })) // lines are 0-based
+        .sort((a, b) => a.column - b.column);
+
+    // Fields of segments are relative to the previous segment. Segments map to the start of the line in the source.
+    let previousColumn = 0;
+    let previousLine = 0;
+    const mappings = segments.map(({ column, line }) => {
+        const segment = encodeVlq(column - previousColumn) + encodeVlq(0) + encodeVlq(line - previousLine)
+            + encodeVlq(0);
+        previousColumn = column;
+        previousLine = line;
+        return segment;
+    }).join(',');
+
+    return {
+        version: 3,
+        sources: [filename],
+        sourcesContent: [source],
+        names: [],
+        mappings,
+    };
+}
+
+/**
+ * Encode a number as base64 variable length quantity, as used in source map mappings.
+ * @param {number} value
+ * @returns {string}
+ */
+function encodeVlq(value) {
+    // The sign is stored in the least significant bit.
+    let vlq = value < 0 ? (-value << 1) + 1 : value << 1;
+    let result = '';
+    do {
+        let digit = vlq & 0b11111;
+        vlq >>>= 5;
+        if (vlq > 0) digit |= 0b100000; // continuation bit
+        result += BASE64_CHARS[digit];
+    } while (vlq > 0);
+    return result;
+}
+
+module.exports = {
+    createTranslationsSourceMap,
+};
@@ -0,0 +1,202 @@
+/**
+ * @typedef {Pick<import('./common').TranslationEntry, 'msgid' | 'msgid_plural' | 'msgstr'>} TranslationEntry
+ * @typedef {{placeholders: Set<string>, linkedMessages: Set<string>, errors: string[]}} MessageSyntax
+ */
+
+// Void elements which don't need to be closed, see https://html.spec.whatwg.org/multipage/syntax.html#void-elements
+const VOID_ELEMENTS = [
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr',
+];
+// Linked messages, e.g. `@:key`, `@.lower:key` or `@:(key)`, see https://vue-i18n.intlify.dev/guide/essentials/syntax
+const LINKED_MESSAGE_REGEX = /@(?:\.\w+)?:(?:\(([^)]*)\)|([\w.\-]*\w))/g;
+const PLACEHOLDER_NAME_REGEX = /^[A-Za-z_$][\w$]*$|^\d+$/;
+
+/**
+ * Validate the translations of an entry against its message: the message syntax of the translations must be valid,
+ * they must use the same named and list placeholders and linked messages, and their html tags must be balanced.
+ * Problems of the message itself are not reported, as they are not caused by the translation.
+ * @param {TranslationEntry} entry
+ * @returns {string[]} - The problems found, if any
+ */
+function validateTranslation(entry) {
+    const source = [entry.msgid, ...(entry.msgid_plural ? [entry.msgid_plural] : [])].join(' | ');
+    const translation = entry.msgstr.join(' | ');
+    const sourceSyntax = parseMessageSyntax(source);
+    if (sourceSyntax.errors.length) return [];
+    const translationSyntax = parseMessageSyntax(translation);
+    if (translationSyntax.errors.length) return translationSyntax.errors;
+
+    /** @type {string[]} */
+    const problems = [];
+    for (const placeholder of translationSyntax.placeholders) {
+        if (sourceSyntax.placeholders.has(placeholder)) continue;
+        problems.push(`Unknown placeholder {${placeholder}} in translation.`);
+    }
+    for (const placeholder of sourceSyntax.placeholders) {
+        if (translationSyntax.placeholders.has(placeholder)) continue;
+        problems.push(`Placeholder {${placeholder}} missing in translation.`);
+    }
+    for (const linkedMessage of translationSyntax.linkedMessages) {
+        if (sourceSyntax.linkedMessages.has(linkedMessage)) continue;
+        problems.push(`Unknown linked message @:${linkedMessage} in translation.`);
+    }
+    for (const linkedMessage of sourceSyntax.linkedMessages) {
+        if (translationSyntax.linkedMessages.has(linkedMessage)) continue;
+        problems.push(`Linked message @:${linkedMessage} missing in translation.`);
+    }
+    if (!findUnbalancedHtmlTag(source)) {
+        const unbalancedTag = findUnbalancedHtmlTag(translation);
+        if (unbalancedTag) problems.push(`Unbalanced html tag ${unbalancedTag} in translation.`);
+    }
+    return problems;
+}
+
+/**
+ * Validate only the message syntax of a translation, for translation files in which the translations are keyed by
+ * arbitrary keys instead of the original messages.
+ * @param {string} translation
+ * @returns {string[]} - The problems found, if any
+ */
+function validateTranslationSyntax(translation) {
+    return parseMessageSyntax(translation).errors;
+}
+
+/**
+ * Parse the placeholders and linked messages of a message in vue-i18n's message syntax, which is a subset of ICU's
+ * message syntax. Named placeholders `{name}`, list placeholders `{0}`, literals `{'{'}` and ICU arguments like
+ * `{count, plural, one {...} other {...}}` are supported.
+ * @param {string} message
+ * @returns {MessageSyntax}
+ */
+function parseMessageSyntax(message) {
+    /** @type {MessageSyntax} */
+    const syntax = { placeholders: new Set(), linkedMessages: new Set(), errors: [] };
+    let text = ''; // the message without placeholders, for finding linked messages
+    for (let i = 0; i < message.length; i++) {
+        const char = message[i];
+        if (char === '}') {
+            syntax.errors.push(`Unbalanced } at position ${i} in translation.`);
+            continue;
+        }
+        if (char !== '{') {
+            text += char;
+            continue;
+        }
+        const end = findClosingBrace(message, i);
+        if (end === -1) {
+            syntax.errors.push(`Unbalanced { at position ${i} in translation.`);
+            break;
+        }
+        parsePlaceholder(message.substring(i + 1, end), syntax);
+        text += ' ';
+        i = end;
+    }
+    for (const [, parenthesizedKey, key] of matchAll(text, LINKED_MESSAGE_REGEX)) {
+        syntax.linkedMessages.add(parenthesizedKey !== undefined ? parenthesizedKey : key);
+    }
+    return syntax;
+}
+
+/**
+ * @param {string} content - The content of a placeholder, without braces
+ * @param {MessageSyntax} syntax - Gets extended by the placeholder
+ */
+function parsePlaceholder(content, syntax) {
+    if (/^\s*'[^']*'\s*$/.test(content)) return; // literal
+    const [name, type, ...subMessages] = splitArguments(content);
+    if (!PLACEHOLDER_NAME_REGEX.test(name) || (type !== undefined && !/^\w+$/.test(type))) {
+        syntax.errors.push(`Invalid placeholder {${content}} in translation.`);
+        return;
+    }
+    syntax.placeholders.add(name);
+
+    // The options of ICU arguments like plural or select contain sub-messages in braces.
+    const options = subMessages.join(',');
+    for (let i = 0; i < options.length; i++) {
+        if (options[i] !== '{') continue;
+        const end = findClosingBrace(options, i);
+        if (end === -1) break; // can not happen, as the braces of the placeholder were balanced
+        const subMessageSyntax = parseMessageSyntax(options.substring(i + 1, end).replace(/#/g, ''));
+        subMessageSyntax.placeholders.forEach((placeholder) => syntax.placeholders.add(placeholder));
+        subMessageSyntax.linkedMessages.forEach((linkedMessage) => syntax.linkedMessages.add(linkedMessage));
+        syntax.errors.push(...subMessageSyntax.errors);
+        i = end;
+    }
+}
+
+/**
+ * Split the content of a placeholder at top-level commas and trim the parts.
+ * @param {string} content
+ * @returns {string[]}
+ */
+function splitArguments(content) {
+    const parts = [''];
+    let depth = 0;
+    for (const char of content) {
+        if (char === '{') depth++;
+        if (char === '}') depth--;
+        if (char === ',' && depth === 0) {
+            parts.push('');
+        } else {
+            parts[parts.length - 1] += char;
+        }
+    }
+    return parts.map((part) => part.trim());
+}
+
+/**
+ * @param {string} message
+ * @param {number} start - The position of the opening brace
+ * @returns {number} - The position of the matching closing brace, or -1
+ */
+function findClosingBrace(message, start) {
+    let depth = 0;
+    for (let i = start; i < message.length; i++) {
+        if (message[i] === '{') depth++;
+        if (message[i] === '}') depth--;
+        if (depth === 0) return i;
+    }
+    return -1;
+}
+
+/**
+ * @param {string} message
+ * @returns {string | null} - The first html tag which is not closed or opened, if any
+ */
+function findUnbalancedHtmlTag(message) {
+    /** @type {string[]} */
+    const openTags = [];
+    for (const [tag, closingSlash, tagName, selfClosingSlash] of matchAll(message, /<(\/?)([a-zA-Z][\w-]*)[^<>]*?(\/?)>/g)) {
+        const normalizedTagName = tagName.toLowerCase();
+        if (selfClosingSlash || VOID_ELEMENTS.includes(normalizedTagName)) continue;
+        if (!closingSlash) {
+            openTags.push(normalizedTagName);
+        } else if (openTags[openTags.length - 1] === normalizedTagName) {
+            openTags.pop();
+        } else {
+            return tag;
+        }
+    }
+    return openTags.length ? `<${openTags[openTags.length - 1]}>` : null;
+}
+
+/**
+ * String.prototype.matchAll is not available in our targeted es version.
+ * @param {string} string
+ * @param {RegExp} regex - A global regex
+ * @returns {RegExpExecArray[]}
+ */
+function matchAll(string, regex) {
+    const matches = [];
+    regex.lastIndex = 0;
+    let match;
+    while (match = regex.exec(string)) {
+        matches.push(match);
+    }
+    return matches;
+}
+
+module.exports = {
+    validateTranslation,
+    validateTranslationSyntax,
+};
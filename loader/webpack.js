@@ -1,4 +1,5 @@
-const po2json = require('po2json');
+const { parseTranslations, generateTranslationsCode, createHotUpdateCode } = require('./common.js');
+const { createTranslationsSourceMap } = require('./sourceMap.js');
 
 /**
  * @typedef {import('webpack4types').loader.LoaderContext} Webpack4LoaderContext
@@ -9,10 +10,10 @@ const po2json = require('po2json');
 /**
  * @this {WebpackLoaderContext}
  * @param {string | Buffer} source
- * @returns {string}
+ * @returns {string | undefined} - The code, unless it is passed with a source map via this.callback
  */
 module.exports = function webpackPoLoader(source) {
-    /** @type {object} */
+    /** @type {import('./common').ParseOptions} */
     let options;
     if ('getOptions' in this) {
         // Webpack 5
@@ -24,16 +25,40 @@ module.exports = function webpackPoLoader(source) {
         options = require('loader-utils').getOptions(this);
     }
 
-    // Note: the spaces here are important for distinguishing a dev build from a minified production build in
-    // parseLanguageFile in plugin/webpack.js.
-    return `module.exports = ${po2json.parse(source, {
-        // defaults
-        format: 'mf',
-        'fallback-to-msgid': true,
-        
-        ...options,
-        
-        // enforce stringification
-        stringify: true,
-    })}`;
+    const { translations, translationLines, language, pluralizationRule, warnings, errors } =
+        parseTranslations(source, this.resourcePath, options);
+    // The translations object is generated at the start of the code, after this prefix.
+    const prefix = options.pluralizationRule ? 'var messages = ' : 'module.exports = ';
+    const { code: translationsCode, columns, errors: compileErrors } = generateTranslationsCode(
+        translations,
+        { precompile: options.precompile, column: prefix.length },
+    );
+    errors.push(...compileErrors.map((error) => `${this.resourcePath}: ${error}`));
+    for (const warning of warnings) {
+        this.emitWarning(new Error(warning));
+    }
+    for (const error of errors) {
+        this.emitError(new Error(error));
+    }
+
+    const isHot = options.hmr !== false && !!this.hot;
+    let code;
+    if (options.pluralizationRule) {
+        // Export the pluralization rule alongside the translations, for which an es module is required.
+        code = `${prefix}${translationsCode};\n`
+            + 'export default messages;\n'
+            + `export const pluralizationRule = ${pluralizationRule || 'undefined'};`
+            + (isHot ? `\n${createHotUpdateCode('webpack', this.resourcePath, language, 'messages')}` : '');
+    } else {
+        // Note: the spaces here are important for distinguishing a dev build from a minified production build in
+        // parseLanguageFile in plugin/webpack.js.
+        code = `${prefix}${translationsCode}`
+            + (isHot ? `;\n${createHotUpdateCode('webpack', this.resourcePath, language, 'module.exports')}` : '');
+    }
+
+    if (!this.sourceMap) return code;
+    // Map the translations to their lines in the translation file.
+    const sourceMap = createTranslationsSourceMap(this.resourcePath, source.toString(), columns, translationLines);
+    // Passed as string, which is compatible with the source map types of Webpack 4 and Webpack 5.
+    this.callback(null, code, JSON.stringify(sourceMap));
 };
@@ -0,0 +1,210 @@
+/**
+ * @typedef {import('./common').TranslationFile} TranslationFile
+ * @typedef {import('./common').TranslationEntry} TranslationEntry
+ * @typedef {{
+ *     name: string,
+ *     attrs: Record<string, string>,
+ *     children: Array<XmlElement | string>,
+ *     line: number,
+ * }} XmlElement
+ */
+
+// Tokens of the xml subset used in xliff files: cdata sections, comments, processing instructions and doctype
+// declarations, start and end tags, and text.
+const XML_TOKEN_REGEX = new RegExp(
+    '<!\\[CDATA\\[([\\s\\S]*?)]]>' // cdata section
+    + '|<!--[\\s\\S]*?-->|<[?!][\\s\\S]*?>' // comment, processing instruction or doctype declaration
+    + '|<(/?)([\\w:.-]+)((?:\\s+[\\w:.-]+\\s*=\\s*(?:"[^"]*"|\'[^\']*\'))*)\\s*(/?)>' // tag
+    + '|([^<]+)', // text
+    'g',
+);
+const XML_ATTRIBUTE_REGEX = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+// Target states of XLIFF 1.2 which mark translations that need to be reviewed, see
+// http://docs.oasis-open.org/xliff/v1.2/os/xliff-core.html#state
+const XLIFF_1_FUZZY_STATES = [
+    'new', 'needs-translation', 'needs-adaptation', 'needs-l10n', 'needs-review-translation',
+    'needs-review-adaptation', 'needs-review-l10n',
+];
+
+/**
+ * Parse an XLIFF 1.2 or 2.0 file. Translation units are keyed by their source text, like gettext entries by their
+ * msgid, and translations which are not marked as final in their state are treated as fuzzy. Inline markup within the
+ * source and target is reduced to its text content.
+ * See http://docs.oasis-open.org/xliff/v1.2/os/xliff-core.html and
+ * https://docs.oasis-open.org/xliff/xliff-core/v2.0/xliff-core-v2.0.html
+ * @param {string | Buffer} source
+ * @param {string} filename
+ * @returns {TranslationFile}
+ */
+function parseXliffFile(source, filename) {
+    const root = parseXml(source.toString(), filename);
+    if (root.name !== 'xliff') throw new Error(`${filename}: not an xliff file.`);
+    const isXliff2 = (root.attrs.version || '').startsWith('2');
+
+    /** @type {TranslationEntry[]} */
+    const entries = [];
+    let language = isXliff2 ? root.attrs.trgLang || null : null;
+    for (const element of findElements(root, isXliff2 ? 'unit' : 'trans-unit')) {
+        if (element.attrs.translate === 'no') continue;
+        // In XLIFF 2.0, units consist of segments, which each have their own source, target and state.
+        const segments = isXliff2 ? findElements(element, 'segment') : [element];
+        const sourceElements = segments.map((segment) => findChild(segment, 'source')).filter(isElement);
+        if (!sourceElements.length) continue;
+        // Only consider children, to skip alternative translations in alt-trans elements of XLIFF 1.2.
+        const targetElements = segments.map((segment) => findChild(segment, 'target')).filter(isElement);
+        const target = targetElements.map(getTextContent).join('');
+        const fuzzy = isXliff2
+            ? segments.some((segment) => segment.attrs.state === 'initial')
+            : targetElements.some(({ attrs }) => XLIFF_1_FUZZY_STATES.includes(attrs.state));
+        entries.push({
+            msgctxt: '',
+            msgid: sourceElements.map(getTextContent).join(''),
+            msgstr: [target],
+            fuzzy,
+            line: (targetElements[0] || sourceElements[0]).line,
+        });
+    }
+    if (!isXliff2) {
+        const file = findElements(root, 'file')[0];
+        language = file ? file.attrs['target-language'] || null : null;
+    }
+
+    return {
+        language,
+        pluralForms: null,
+        hasSourceMessages: true,
+        entries,
+    };
+}
+
+/**
+ * Parse the xml subset used in xliff files. Namespace prefixes are kept as part of element names, and entities other
+ * than xml's predefined entities and character references are not supported.
+ * @param {string} xml
+ * @param {string} filename
+ * @returns {XmlElement} - The root element
+ */
+function parseXml(xml, filename) {
+    /** @type {XmlElement} */
+    const document = { name: '', attrs: {}, children: [], line: 1 };
+    const openElements = [document];
+    let line = 1;
+    let lastIndex = 0;
+    let match;
+    XML_TOKEN_REGEX.lastIndex = 0;
+    while ((match = XML_TOKEN_REGEX.exec(xml)) !== null) {
+        const [, cdata, closingSlash, name, attrs, selfClosingSlash, text] = match;
+        line += countNewlines(xml.substring(lastIndex, match.index));
+        lastIndex = match.index;
+        const parent = openElements[openElements.length - 1];
+        if (cdata !== undefined) {
+            parent.children.push(cdata);
+        } else if (text !== undefined) {
+            parent.children.push(decodeEntities(text));
+        } else if (name !== undefined && closingSlash) {
+            if (parent.name !== name) throw new Error(`${filename}:${line}: unexpected closing tag </${name}>.`);
+            openElements.pop();
+        } else if (name !== undefined) {
+            /** @type {XmlElement} */
+            const element = { name, attrs: parseAttributes(attrs), children: [], line };
+            parent.children.push(element);
+            if (!selfClosingSlash) openElements.push(element);
+        }
+    }
+    if (openElements.length > 1) {
+        throw new Error(`${filename}: unclosed tag <${openElements[openElements.length - 1].name}>.`);
+    }
+    const root = document.children.find(isElement);
+    if (!isElement(root)) throw new Error(`${filename}: no root element found.`);
+    return root;
+}
+
+/**
+ * @param {string} attrs - The attributes part of a start tag
+ * @returns {Record<string, string>}
+ */
+function parseAttributes(attrs) {
+    /** @type {Record<string, string>} */
+    const result = {};
+    let match;
+    XML_ATTRIBUTE_REGEX.lastIndex = 0;
+    while ((match = XML_ATTRIBUTE_REGEX.exec(attrs)) !== null) {
+        const [, name, doubleQuotedValue, singleQuotedValue] = match;
+        result[name] = decodeEntities(doubleQuotedValue !== undefined ? doubleQuotedValue : singleQuotedValue);
+    }
+    return result;
+}
+
+/**
+ * Find the descendants with a given name, without descending into matching elements.
+ * @param {XmlElement} element
+ * @param {string} name
+ * @returns {XmlElement[]}
+ */
+function findElements(element, name) {
+    /** @type {XmlElement[]} */
+    const result = [];
+    for (const child of element.children) {
+        if (typeof child === 'string') continue;
+        if (child.name === name) {
+            result.push(child);
+        } else {
+            result.push(...findElements(child, name));
+        }
+    }
+    return result;
+}
+
+/**
+ * @param {XmlElement} element
+ * @param {string} name
+ * @returns {XmlElement | null}
+ */
+function findChild(element, name) {
+    const child = element.children.find((child) => isElement(child) && child.name === name);
+    return isElement(child) ? child : null;
+}
+
+/**
+ * @param {XmlElement | string | null | undefined} node
+ * @returns {node is XmlElement}
+ */
+function isElement(node) {
+    return !!node && typeof node !== 'string';
+}
+
+/**
+ * @param {XmlElement} element
+ * @returns {string}
+ */
+function getTextContent(element) {
+    return element.children
+        .map((child) => typeof child === 'string' ? child : getTextContent(child))
+        .join('');
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+    /** @type {Record<string, string>} */
+    const entities = { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' };
+    return text.replace(/&(?:#x([\da-fA-F]+)|#(\d+)|(\w+));/g, (entity, hexCode, decimalCode, name) => {
+        if (hexCode) return String.fromCodePoint(parseInt(hexCode, 16));
+        if (decimalCode) return String.fromCodePoint(parseInt(decimalCode, 10));
+        return entities[name] || entity;
+    });
+}
+
+/**
+ * @param {string} text
+ * @returns {number}
+ */
+function countNewlines(text) {
+    return (text.match(/\r\n|\r|\n/g) || []).length;
+}
+
+module.exports = {
+    parseXliffFile,
+};
@@ -0,0 +1,452 @@
+const acorn = require('acorn');
+const { CONTEXT_SEPARATOR } = require('../runtime');
+// See common.js regarding the usage of webpack-sources and its types.
+const ReplaceSource = /** @type {typeof import('webpack5').sources.ReplaceSource} */ (
+    /** @type {unknown} */ (require('webpack-sources').ReplaceSource));
+
+/**
+ * @typedef {import('./common').ChunkInfo} ChunkInfo
+ * @typedef {acorn.AnyNode} AnyNode
+ * @typedef {{
+ *     start: number,
+ *     end: number,
+ *     replacement: string,
+ * }} Replacement - Replacement of the code between start (inclusive) and end (exclusive)
+ * @typedef {{
+ *     missingTranslations: Set<string>,
+ *     usedTranslations: Set<string>,
+ *     replacements: Replacement[],
+ * }} UsageCollection
+ * @typedef {{
+ *     functionNames: Set<string>,
+ *     objectNames: Set<string>,
+ * }} UseI18nBindings - Local names of the translation functions and of the composers returned by useI18n
+ */
+
+// $t, $tc and $te calls, also as methods, e.g. _ctx.$t, or as imported functions, e.g. (0, r.$t)
+const TRANSLATION_FUNCTION_NAMES = ['$t', '$tc', '$te'];
+// vue-i18n's t, tc and te methods. As these names are common for unrelated methods too, e.g. webpack's
+// __webpack_require__.t, they are only considered as methods of vue-i18n objects, see isVueI18nObject, or as functions
+// if bound from useI18n, see findUseI18nBindings.
+const TRANSLATION_METHOD_NAMES = ['t', 'tc', 'te'];
+const CONTEXT_TRANSLATION_FUNCTION_NAMES = ['$tp'];
+const CONTEXT_TRANSLATION_METHOD_NAMES = ['tp'];
+// vue-i18n instances, e.g. i18n or this.$i18n, and in vue3 compiled templates the component instance _ctx and the setup
+// bindings $setup, which expose the functions returned by useI18n
+const VUE_I18N_OBJECT_NAMES = ['i18n', '$i18n', '_ctx', '$setup'];
+const SIMPLE_ESCAPES = /** @type {Record<string, string>} */ ({
+    n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', v: '\v',
+});
+const ESCAPE_SEQUENCE_REGEX = new RegExp(
+    '\\\\(?:'
+    + '([nrtbfv])' // simple escape
+    + '|x([\\da-fA-F]{2})|u([\\da-fA-F]{4})|u\\{([\\da-fA-F]+)\\}' // hexadecimal and unicode escapes
+    + '|(\\r\\n|[\\r\\n\\u2028\\u2029])' // line continuation
+    + '|([0-3][0-7]{0,2}|[4-7][0-7]?)' // legacy octal escape, or \0
+    + '|([\\s\\S])' // other escaped characters, which are taken literally
+    + ')',
+    'y',
+);
+/** @type {acorn.Options} */
+const PARSE_OPTIONS = {
+    ecmaVersion: 'latest',
+    allowHashBang: true,
+    allowReturnOutsideFunction: true,
+    allowAwaitOutsideFunction: true,
+    allowImportExportEverywhere: true,
+};
+
+/**
+ * Replace translation keys in translation usages with the shorter numbers compatible with the optimized language
+ * files, like optimizeTranslationUsages in common.js, but based on the abstract syntax tree of the chunk instead of
+ * regexes. This finds translation calls and component props precisely, regardless of their formatting, and in shapes
+ * which the regexes do not cover, e.g. calls of imported functions like (0, r.t)('key') or string keys of props.
+ * If the chunk is eval wrapped, the code in the eval string literals gets parsed separately.
+ * @param {ChunkInfo} chunkInfo
+ * @param {Record<string, number>} translationKeyIndexMap
+ * @returns {{missingTranslations: Set<string>, usedTranslations: Set<string>}}
+ */
+function optimizeTranslationUsagesViaAst(chunkInfo, translationKeyIndexMap) {
+    /** @type {UsageCollection} */
+    const usageCollection = {
+        missingTranslations: new Set(),
+        usedTranslations: new Set(),
+        replacements: [],
+    };
+
+    const originalCode = chunkInfo.source.source();
+    if (typeof originalCode !== 'string') return usageCollection; // Binary file.
+    const program = parseCode(originalCode, chunkInfo.filename);
+    collectTranslationUsages(program, originalCode, translationKeyIndexMap, usageCollection);
+
+    if (chunkInfo.isEvalWrapped) {
+        for (const literal of findEvalStringLiterals(program)) {
+            const evalCode = /** @type {string} */ (literal.value);
+            const { value, getLiteralOffset } = decodeStringLiteral(originalCode.substring(literal.start, literal.end));
+            if (value !== evalCode) throw new Error(`Failed to decode eval string literal in ${chunkInfo.filename}.`);
+            /** @type {UsageCollection} */
+            const evalUsageCollection = { ...usageCollection, replacements: [] };
+            collectTranslationUsages(parseCode(evalCode, chunkInfo.filename), evalCode, translationKeyIndexMap,
+                evalUsageCollection);
+            // Map the positions in the evaluated code to positions in the string literal in the chunk.
+            const quote = originalCode[literal.start];
+            for (const { start, end, replacement } of evalUsageCollection.replacements) {
+                usageCollection.replacements.push({
+                    start: literal.start + getLiteralOffset(start),
+                    end: literal.start + getLiteralOffset(end),
+                    replacement: replacement.replace(new RegExp(`[\\\\${quote}]`, 'g'), '\\$&'),
+                });
+            }
+        }
+    }
+
+    // Note that all replacement positions are relative to originalCode, regardless of other replacements.
+    const source = new ReplaceSource(chunkInfo.source);
+    for (const { start, end, replacement } of usageCollection.replacements) {
+        source.replace(start, end - 1, replacement); // end is inclusive for ReplaceSource
+    }
+    chunkInfo.source = source;
+
+    return {
+        missingTranslations: usageCollection.missingTranslations,
+        usedTranslations: usageCollection.usedTranslations,
+    };
+}
+
+/**
+ * @param {string} code
+ * @param {string} filename
+ * @returns {acorn.Program}
+ */
+function parseCode(code, filename) {
+    try {
+        return acorn.parse(code, { ...PARSE_OPTIONS, sourceType: 'module' });
+    } catch (e) {
+        // Retry as script, e.g. for code in sloppy mode which is not valid in strict mode modules.
+        try {
+            return acorn.parse(code, { ...PARSE_OPTIONS, sourceType: 'script' });
+        } catch (e) {
+            throw new Error(`Could not parse ${filename} for optimizing translation usages: `
+                + `${e instanceof Error ? e.message : e}`);
+        }
+    }
+}
+
+/**
+ * @param {acorn.Program} program
+ * @param {string} code - The parsed code
+ * @param {Record<string, number>} translationKeyIndexMap
+ * @param {UsageCollection} usageCollection
+ */
+function collectTranslationUsages(program, code, translationKeyIndexMap, usageCollection) {
+    const { missingTranslations, usedTranslations, replacements } = usageCollection;
+    const { functionNames: useI18nFunctionNames, objectNames: useI18nObjectNames } = code.includes('useI18n')
+        ? findUseI18nBindings(program)
+        : { functionNames: new Set(), objectNames: new Set() };
+    /**
+     * @param {AnyNode} translationKeyNode
+     * @param {AnyNode | null} [contextNode]
+     */
+    const replaceTranslationKey = (translationKeyNode, contextNode = null) => {
+        const translationKey = evaluateString(translationKeyNode);
+        const context = contextNode ? evaluateString(contextNode) : '';
+        if (translationKey === null || context === null) return; // dynamic key which can not be optimized
+        const contextTranslationKey = context ? `${context}${CONTEXT_SEPARATOR}${translationKey}` : translationKey;
+        const translationKeyIndex = translationKeyIndexMap[contextTranslationKey];
+        if (translationKeyIndex === undefined) {
+            missingTranslations.add(contextTranslationKey);
+            return;
+        }
+        usedTranslations.add(contextTranslationKey);
+        const { start, end } = translationKeyNode;
+        replacements.push({ start, end, replacement: `'${translationKeyIndex}'` });
+        // As the short index already identifies the message with its context, the context is replaced by an empty
+        // string, such that $tp looks up the index as is, see getTranslationKey in runtime.js.
+        if (contextNode) replacements.push({ start: contextNode.start, end: contextNode.end, replacement: '\'\'' });
+    };
+
+    walk(program, (node) => {
+        if (node.type !== 'CallExpression') return;
+        const [firstArgument, secondArgument] = node.arguments;
+        if (!firstArgument || firstArgument.type === 'SpreadElement') return;
+        const calleeName = getCalleeName(node.callee);
+
+        if ((calleeName && isFunctionCall(node.callee, calleeName, TRANSLATION_FUNCTION_NAMES,
+            TRANSLATION_METHOD_NAMES, useI18nObjectNames)) || isUseI18nFunction(node.callee, useI18nFunctionNames)) {
+            replaceTranslationKey(firstArgument);
+        } else if (calleeName && secondArgument && secondArgument.type !== 'SpreadElement'
+            && isFunctionCall(node.callee, calleeName, CONTEXT_TRANSLATION_FUNCTION_NAMES,
+                CONTEXT_TRANSLATION_METHOD_NAMES, useI18nObjectNames)) {
+            replaceTranslationKey(secondArgument, firstArgument);
+        } else if (secondArgument && secondArgument.type === 'ObjectExpression') {
+            // Render function calls creating vue-i18n's interpolation components, i.e. h('i18n', { attrs: { path } })
+            // for vue2 compatible vue-i18n <v9 <i18n> components in vue-template-compiler compiled render functions,
+            // and createVNode(_component_i18n_t, { keypath }) or createBlock for vue3 compatible vue-i18n >=v9 <i18n-t>
+            // components in @vue/compiler-sfc compiled render functions. The render helpers can be minified to
+            // arbitrary names and the i18n-t component to an arbitrary variable.
+            const attrs = evaluateString(firstArgument) === 'i18n' ? findProperty(secondArgument, 'attrs') : null;
+            const path = attrs && attrs.type === 'ObjectExpression' ? findProperty(attrs, 'path') : null;
+            const keypath = findProperty(secondArgument, 'keypath');
+            if (path) replaceTranslationKey(path);
+            if (keypath) replaceTranslationKey(keypath);
+        }
+    });
+}
+
+/**
+ * Find the bindings of the translation functions returned by vue-i18n's useI18n, e.g. const { t } = useI18n() or
+ * const { t: translate } = useI18n(), and of the composers returned by it, e.g. const composer = useI18n(). Like
+ * findUseI18nBindings of the extractor, the bindings are resolved by their names, regardless of their scopes.
+ * @param {acorn.Program} program
+ * @returns {UseI18nBindings}
+ */
+function findUseI18nBindings(program) {
+    /** @type {UseI18nBindings} */
+    const bindings = { functionNames: new Set(), objectNames: new Set() };
+    walk(program, (node) => {
+        if (node.type !== 'VariableDeclarator' || !node.init || node.init.type !== 'CallExpression') return;
+        // Also imported via bundlers, e.g. (0, vue_i18n.useI18n)(), or from a namespace, e.g. VueI18n.useI18n()
+        if (getCalleeName(node.init.callee) !== 'useI18n') return;
+        if (node.id.type === 'Identifier') {
+            bindings.objectNames.add(node.id.name);
+            return;
+        }
+        if (node.id.type !== 'ObjectPattern') return;
+        for (const property of node.id.properties) {
+            if (property.type !== 'Property') continue;
+            const name = !property.computed && property.key.type === 'Identifier'
+                ? property.key.name
+                : evaluateString(property.key);
+            // The local name, also with a default value, e.g. { t = fallback }
+            const value = property.value.type === 'AssignmentPattern' ? property.value.left : property.value;
+            if (name === null || !TRANSLATION_METHOD_NAMES.includes(name) || value.type !== 'Identifier') continue;
+            bindings.functionNames.add(value.name);
+        }
+    });
+    return bindings;
+}
+
+/**
+ * @param {acorn.Program} program
+ * @returns {acorn.Literal[]} - The string literals passed to eval, as generated by webpack's eval devtools, optionally
+ *     wrapped into a call for trusted types, see EvalSourceMapDevToolPlugin
+ */
+function findEvalStringLiterals(program) {
+    /** @type {acorn.Literal[]} */
+    const literals = [];
+    walk(program, (node) => {
+        if (node.type !== 'CallExpression' || node.callee.type !== 'Identifier' || node.callee.name !== 'eval') return;
+        let argument = node.arguments[0];
+        if (argument && argument.type === 'CallExpression') argument = argument.arguments[0];
+        if (argument && argument.type === 'Literal' && typeof argument.value === 'string') literals.push(argument);
+    });
+    return literals;
+}
+
+/**
+ * Traverse the syntax tree depth first. Implemented iteratively to avoid stack overflows for deeply nested code, like
+ * long concatenations.
+ * @param {AnyNode} root
+ * @param {(node: AnyNode) => void} visit
+ */
+function walk(root, visit) {
+    /** @type {AnyNode[]} */
+    const stack = [root];
+    let node;
+    while ((node = stack.pop()) !== undefined) {
+        visit(node);
+        for (const value of Object.values(node)) {
+            if (Array.isArray(value)) {
+                for (let i = value.length - 1; i >= 0; i--) {
+                    if (isNode(value[i])) stack.push(value[i]);
+                }
+            } else if (isNode(value)) {
+                stack.push(value);
+            }
+        }
+    }
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is AnyNode}
+ */
+function isNode(value) {
+    return !!value && typeof value === 'object' && typeof (/** @type {{type?: unknown}} */ (value)).type === 'string';
+}
+
+/**
+ * @param {AnyNode} callee
+ * @returns {string | null} - The name of the called function or method
+ */
+function getCalleeName(callee) {
+    // Imported functions are called as (0, module.name)(...) by bundlers, to call them without this.
+    if (callee.type === 'SequenceExpression') callee = callee.expressions[callee.expressions.length - 1];
+    if (callee.type === 'Identifier') return callee.name;
+    if (callee.type !== 'MemberExpression') return null;
+    if (!callee.computed && callee.property.type === 'Identifier') return callee.property.name;
+    return callee.computed ? evaluateString(callee.property) : null;
+}
+
+/**
+ * @param {AnyNode} callee
+ * @param {string} calleeName
+ * @param {string[]} functionNames - The names of the functions, called directly or as methods of any object
+ * @param {string[]} methodNames - The names of the functions only if called as methods of vue-i18n objects
+ * @param {Set<string>} useI18nObjectNames
+ * @returns {boolean}
+ */
+function isFunctionCall(callee, calleeName, functionNames, methodNames, useI18nObjectNames) {
+    if (functionNames.includes(calleeName)) return true;
+    if (callee.type === 'SequenceExpression') callee = callee.expressions[callee.expressions.length - 1];
+    return callee.type === 'MemberExpression' && methodNames.includes(calleeName)
+        && isVueI18nObject(callee.object, useI18nObjectNames);
+}
+
+/**
+ * @param {AnyNode} callee
+ * @param {Set<string>} useI18nFunctionNames
+ * @returns {boolean} - Whether the callee is a translation function bound from useI18n, also if unwrapped via vue's
+ *     unref, as in vue3 compiled inline templates, e.g. _unref(t)
+ */
+function isUseI18nFunction(callee, useI18nFunctionNames) {
+    if (callee.type === 'CallExpression' && callee.arguments.length === 1
+        && ['unref', '_unref'].includes(getCalleeName(callee.callee) || '')) {
+        callee = callee.arguments[0];
+    }
+    return callee.type === 'Identifier' && useI18nFunctionNames.has(callee.name);
+}
+
+/**
+ * @param {AnyNode} node
+ * @param {Set<string>} useI18nObjectNames
+ * @returns {boolean} - Whether the node is a vue-i18n object, i.e. one of VUE_I18N_OBJECT_NAMES, also as property, e.g.
+ *     this.$i18n, or the global composer of a vue-i18n >=v9 instance, e.g. i18n.global, or a composer returned by
+ *     useI18n
+ */
+function isVueI18nObject(node, useI18nObjectNames) {
+    if (node.type === 'Identifier') {
+        return VUE_I18N_OBJECT_NAMES.includes(node.name) || useI18nObjectNames.has(node.name);
+    }
+    if (node.type !== 'MemberExpression' || node.computed || node.property.type !== 'Identifier') return false;
+    return node.property.name === 'global' || VUE_I18N_OBJECT_NAMES.includes(node.property.name);
+}
+
+/**
+ * @param {acorn.ObjectExpression} objectExpression
+ * @param {string} name
+ * @returns {AnyNode | null} - The value of the property of the given name
+ */
+function findProperty(objectExpression, name) {
+    for (const property of objectExpression.properties) {
+        if (property.type !== 'Property' || property.kind !== 'init') continue;
+        const key = !property.computed && property.key.type === 'Identifier'
+            ? property.key.name
+            : evaluateString(property.key);
+        if (key === name) return property.value;
+    }
+    return null;
+}
+
+/**
+ * @param {AnyNode} node
+ * @returns {string | null} - The value of a string literal, template literal without expressions or a concatenation of
+ *     these, otherwise null
+ */
+function evaluateString(node) {
+    if (node.type === 'Literal') return typeof node.value === 'string' ? node.value : null;
+    if (node.type === 'TemplateLiteral') {
+        return !node.expressions.length && typeof node.quasis[0].value.cooked === 'string'
+            ? node.quasis[0].value.cooked
+            : null;
+    }
+    if (node.type === 'BinaryExpression' && node.operator === '+' && node.left.type !== 'PrivateIdentifier') {
+        const left = evaluateString(node.left);
+        const right = left !== null ? evaluateString(node.right) : null;
+        return left !== null && right !== null ? left + right : null;
+    }
+    return null;
+}
+
+/**
+ * Decode a string literal, keeping track of the positions of the decoded characters in the literal. To keep memory
+ * usage low for long literals, positions are tracked per run of unescaped characters and per escape sequence.
+ * @param {string} literal - The string literal including its quotes
+ * @returns {{value: string, getLiteralOffset: (position: number) => number}} - The decoded value, and a mapping of
+ *     positions in the value to offsets in the literal, which maps the position after the value to the closing quote
+ */
+function decodeStringLiteral(literal) {
+    /** @type {string[]} */
+    const valueParts = [];
+    // Runs of decoded characters, by their start positions in the value and the literal
+    /** @type {number[]} */
+    const runValuePositions = [];
+    /** @type {number[]} */
+    const runLiteralOffsets = [];
+    /** @type {boolean[]} */
+    const runIsEscapeSequence = [];
+    let valueLength = 0;
+    /**
+     * @param {string} decoded
+     * @param {number} offset
+     * @param {boolean} isEscapeSequence - Whether all decoded characters originate from the same escape sequence
+     */
+    const append = (decoded, offset, isEscapeSequence) => {
+        if (!decoded) return;
+        valueParts.push(decoded);
+        runValuePositions.push(valueLength);
+        runLiteralOffsets.push(offset);
+        runIsEscapeSequence.push(isEscapeSequence);
+        valueLength += decoded.length;
+    };
+    const end = literal.length - 1; // closing quote
+    let position = 1; // skip opening quote
+    while (position < end) {
+        const escapeSequencePosition = literal.indexOf('\\', position);
+        if (escapeSequencePosition === -1 || escapeSequencePosition >= end) {
+            append(literal.substring(position, end), position, false);
+            break;
+        }
+        append(literal.substring(position, escapeSequencePosition), position, false);
+        ESCAPE_SEQUENCE_REGEX.lastIndex = escapeSequencePosition;
+        const match = /** @type {RegExpExecArray} */ (ESCAPE_SEQUENCE_REGEX.exec(literal)); // matches any escape
+        const [escapeSequence, simpleEscape, hex2, hex4, codePoint, lineContinuation, octal, otherChar] = match;
+        let decoded = otherChar || '';
+        if (simpleEscape) {
+            decoded = SIMPLE_ESCAPES[simpleEscape];
+        } else if (hex2 || hex4 || codePoint) {
+            decoded = String.fromCodePoint(parseInt(hex2 || hex4 || codePoint, 16));
+        } else if (octal) {
+            decoded = String.fromCharCode(parseInt(octal, 8)); // legacy octal escape, or \0
+        } else if (lineContinuation) {
+            decoded = '';
+        }
+        append(decoded, escapeSequencePosition, true);
+        position = escapeSequencePosition + escapeSequence.length;
+    }
+    append('\0', end, true); // closing quote as position after the value, excluded from the value below
+
+    return {
+        value: valueParts.slice(0, -1).join(''),
+        getLiteralOffset(valuePosition) {
+            // Binary search for the last run starting at or before the position.
+            let low = 0;
+            let high = runValuePositions.length - 1;
+            while (low < high) {
+                const middle = Math.ceil((low + high) / 2);
+                if (runValuePositions[middle] <= valuePosition) {
+                    low = middle;
+                } else {
+                    high = middle - 1;
+                }
+            }
+            return runIsEscapeSequence[low]
+                ? runLiteralOffsets[low]
+                : runLiteralOffsets[low] + valuePosition - runValuePositions[low];
+        },
+    };
+}
+
+module.exports = {
+    optimizeTranslationUsagesViaAst,
+};
@@ -1,4 +1,6 @@
 const path = require('path');
+const { CONTEXT_SEPARATOR } = require('../runtime');
+const { optimizeTranslationUsagesViaAst } = require('./ast.js');
 // There is currently a discrepancy between the latest @types/webpack-sources and the types that webpack defines
 // internally for webpack-sources. ReplaceSource from webpack-sources is compatible with Webpack 4 and Webpack 5.
 // As it can also be used independently of Webpack, we also use it for our rollup builds, as alternative to magic-string
@@ -8,59 +10,144 @@ const ReplaceSource = /** @type {typeof import('webpack5').sources.ReplaceSource
 
 /**
  * @typedef {import('webpack5').sources.Source} Source - Actually is from webpack-sources, but use types from webpack5
- * @typedef {{filename: string, source: Source, isEvalWrapped?: boolean }} ChunkInfo
- * @typedef {Required<ChunkInfo> & {
+ * @typedef {{
+ *     path: string,
+ *     code: string,
+ *     isReferenceLanguage: boolean,
+ * }} LanguageModuleInfo - A language file bundled into a chunk, with its module code as generated by the loader
+ * @typedef {{
+ *     filename: string,
+ *     source: Source,
+ *     isEvalWrapped?: boolean,
+ *     languageModules?: LanguageModuleInfo[],
+ *     hasTranslationUsages?: boolean,
+ * }} ChunkInfo - For language chunks, languageModules lists the contained language files, as reported by the bundler,
+ *     and hasTranslationUsages whether the chunk also contains other code, in which translation usages are optimized
+ * @typedef {{
+ *     path: string,
+ *     isReferenceLanguage: boolean,
  *     translations: Record<string, string>,
  *     translationsCode: string,
  *     translationsCodePosition: number,
+ * }} TranslationObjectInfo - The translations object of a language file, and its position in the chunk
+ * @typedef {{
+ *     filename: string,
+ *     source: Source,
+ *     isEvalWrapped: boolean,
+ *     hasTranslationUsages: boolean,
+ *     translationObjects: TranslationObjectInfo[],
  * }} ParsedLanguageChunkInfo
+ * @typedef {'regex' | 'ast'} UsageRewriting - Whether translation usages are found via regexes or via the abstract
+ *     syntax tree of the chunks. The latter is more precise, but requires parsing all chunks.
  */
 
 /**
+ * Locate the translations objects of all language files of a chunk. As the chunk code might be minified, or wrapped in
+ * eval, the translations objects are not searched by their code, but by their entries, which are compared to the
+ * entries in the module code of the language files.
  * @param {ChunkInfo} languageChunk
  * @returns {ParsedLanguageChunkInfo}
  */
 function parseLanguageChunk(languageChunk) {
+    const { filename, languageModules = [] } = languageChunk;
     const chunkCode = languageChunk.source.source();
-    if (typeof chunkCode !== 'string') throw new Error('Failed to parse language file.');
+    if (typeof chunkCode !== 'string') throw new Error(`Failed to parse language file ${filename}.`);
     const isEvalWrapped = !!languageChunk.isEvalWrapped;
-    const translationObjectRegex = generateTranslationObjectRegex(isEvalWrapped);
-    let match = chunkCode.match(translationObjectRegex);
-    if (!match) throw new Error('Failed to parse language file.');
-    const translationsCode = match[0];
-    const translationsCodePosition = Number(match.index);
-
-    // Parse translations
-    /** @type {Record<string, string>} */
-    const translations = {};
-    const translationEntryRegex = generateTranslationEntryRegex(isEvalWrapped);
-    while ((match = translationEntryRegex.exec(translationsCode)) !== null) {
-        const [, matchedTranslationKey, , matchedTranslation] = match;
-        const translationKey = normalizeString(matchedTranslationKey, isEvalWrapped);
-        translations[translationKey] = normalizeString(matchedTranslation, isEvalWrapped);
+    const candidates = findTranslationObjects(chunkCode, isEvalWrapped);
+
+    /** @type {TranslationObjectInfo[]} */
+    const translationObjects = [];
+    for (const { path, code, isReferenceLanguage } of languageModules) {
+        const { translations } = parseLanguageModule(path, code, isReferenceLanguage);
+        const entriesSignature = JSON.stringify(Object.entries(translations));
+        const keysSignature = JSON.stringify(Object.keys(translations));
+        // Prefer exact matches of keys and translations, to not mix up language files with the same keys in a chunk.
+        let candidateIndex = candidates.findIndex((candidate) =>
+            JSON.stringify(Object.entries(candidate.translations)) === entriesSignature);
+        if (candidateIndex === -1) {
+            candidateIndex = candidates.findIndex((candidate) =>
+                JSON.stringify(Object.keys(candidate.translations)) === keysSignature);
+        }
+        // Empty objects are too common in code to identify an empty translations object, unless it's the only one.
+        if (!Object.keys(translations).length
+            && candidates.filter((candidate) => !Object.keys(candidate.translations).length).length > 1) {
+            candidateIndex = -1;
+        }
+        if (candidateIndex === -1) throw new Error(`Failed to parse language file ${path} in ${filename}.`);
+        const [candidate] = candidates.splice(candidateIndex, 1);
+        translationObjects.push({ ...candidate, path, isReferenceLanguage });
     }
 
     return {
-        ...languageChunk,
+        filename,
+        source: languageChunk.source,
         isEvalWrapped,
-        translations,
-        translationsCode,
-        translationsCodePosition,
+        hasTranslationUsages: !!languageChunk.hasTranslationUsages,
+        translationObjects,
     };
 }
 
+/**
+ * @param {string} path
+ * @param {string} code - The module code of the language file, as generated by the loader
+ * @param {boolean} isReferenceLanguage
+ * @returns {TranslationObjectInfo} - The translations object, positioned in the module code
+ */
+function parseLanguageModule(path, code, isReferenceLanguage) {
+    const [moduleTranslationObject] = findTranslationObjects(code, false);
+    if (!moduleTranslationObject) throw new Error(`Failed to parse language file ${path}.`);
+    return { ...moduleTranslationObject, path, isReferenceLanguage };
+}
+
+/**
+ * @param {string} code
+ * @param {boolean} isEvalWrapped
+ * @returns {Array<Omit<TranslationObjectInfo, 'path' | 'isReferenceLanguage'>>} - All objects in the code which have
+ *     only string entries, and thus could be translations objects
+ */
+function findTranslationObjects(code, isEvalWrapped) {
+    const translationObjectRegex = new RegExp(generateTranslationObjectRegex(isEvalWrapped).source, 'g');
+    const translationEntryRegex = generateTranslationEntryRegex(isEvalWrapped);
+    const result = [];
+    let match;
+    while ((match = translationObjectRegex.exec(code)) !== null) {
+        const translationsCode = match[0];
+        /** @type {Record<string, string>} */
+        const translations = {};
+        let entryMatch;
+        while ((entryMatch = translationEntryRegex.exec(translationsCode)) !== null) {
+            const [, matchedTranslationKey, , matchedTranslation] = entryMatch;
+            const translationKey = normalizeString(matchedTranslationKey, isEvalWrapped);
+            translations[translationKey] = normalizeString(matchedTranslation, isEvalWrapped);
+        }
+        result.push({ translations, translationsCode, translationsCodePosition: match.index });
+    }
+    return result;
+}
+
 /**
  * @param {ChunkInfo[]} languageChunkInfos
  * @param {ChunkInfo[]} otherChunkInfos
  * @param {(filename: string, source: Source) => void} updateChunk
  * @param {(message: string) => void} emitWarning
+ * @param {UsageRewriting} [usageRewriting]
  */
-module.exports = function processChunks(languageChunkInfos, otherChunkInfos, updateChunk, emitWarning) {
+module.exports = function processChunks(
+    languageChunkInfos,
+    otherChunkInfos,
+    updateChunk,
+    emitWarning,
+    usageRewriting = 'regex',
+) {
     if (!languageChunkInfos.length) return;
 
     const parsedLanguageChunkInfos = languageChunkInfos.map(parseLanguageChunk);
 
-    const { missingTranslations, unusedTranslations } = optimizeChunks(parsedLanguageChunkInfos, otherChunkInfos);
+    const { missingTranslations, unusedTranslations } = optimizeChunks(
+        parsedLanguageChunkInfos,
+        otherChunkInfos,
+        usageRewriting,
+    );
     for (const {filename, source} of [...parsedLanguageChunkInfos, ...otherChunkInfos]) {
         updateChunk(filename, source);
     }
@@ -75,58 +162,150 @@ module.exports = function processChunks(languageChunkInfos, otherChunkInfos, upd
 /**
  * @param {ParsedLanguageChunkInfo[]} languageChunkInfos
  * @param {ChunkInfo[]} otherChunkInfos
+ * @param {UsageRewriting} usageRewriting
  * @returns {{missingTranslations: Set<string>, unusedTranslations: Set<string>}}
  */
-function optimizeChunks(languageChunkInfos, otherChunkInfos) {
-    /** @type {Record<string, number>} */
-    const translationKeyIndexMap = {};
-    /** @type {Record<string, string>} */
-    const fallbackTranslations = {};
-
-    const referenceLanguageChunkInfo = languageChunkInfos
-        .find(({ filename }) => /\ben[-.]/.test(path.basename(filename))); // dash in regex for webpack, dot for rollup
-    if (!referenceLanguageChunkInfo) throw('English reference language file not found.');
-
-    Object.entries(referenceLanguageChunkInfo.translations).forEach(([key, value], index) => {
-        // Normalize with isEvalWrapped false as eval string literal escape sequences are removed in parsed translations
-        const normalizedKey = normalizeString(key, false);
-        translationKeyIndexMap[normalizedKey] = index;
-        fallbackTranslations[normalizedKey] = normalizeString(value, false);
-    });
+function optimizeChunks(languageChunkInfos, otherChunkInfos, usageRewriting) {
+    // The reference language files provide the fallback translations and determine the translation indices.
+    /** @type {TranslationObjectInfo[]} */
+    const referenceTranslationObjects = [];
+    for (const { translationObjects } of languageChunkInfos) {
+        referenceTranslationObjects.push(...translationObjects.filter((object) => object.isReferenceLanguage));
+    }
+    if (!referenceTranslationObjects.length) throw('Reference language file not found.');
+    const translationKeyIndexMap = createTranslationKeyIndexMap(referenceTranslationObjects);
 
     /** @type {Set<string>} */
     const missingTranslations = new Set();
     const unusedTranslations = new Set(Object.keys(translationKeyIndexMap));
+    const optimizeUsages = usageRewriting === 'ast' ? optimizeTranslationUsagesViaAst : optimizeTranslationUsages;
+    /** @param {ChunkInfo} chunkInfo */
+    const optimizeChunkUsages = (chunkInfo) => {
+        const { missingTranslations: missingChunkTranslations, usedTranslations } =
+            optimizeUsages(chunkInfo, translationKeyIndexMap);
+        missingChunkTranslations.forEach((translationKey) => missingTranslations.add(translationKey));
+        usedTranslations.forEach((translationKey) => unusedTranslations.delete(translationKey));
+    };
 
     for (const languageChunkInfo of languageChunkInfos) {
-        optimizeLanguageChunk(languageChunkInfo, translationKeyIndexMap, fallbackTranslations);
+        optimizeLanguageChunk(languageChunkInfo, translationKeyIndexMap, referenceTranslationObjects);
+        // Language files bundled with other code, e.g. the default language inlined into the entry chunk.
+        if (languageChunkInfo.hasTranslationUsages) optimizeChunkUsages(languageChunkInfo);
     }
     for (const chunkInfo of otherChunkInfos) {
-        const { missingTranslations: missingChunkTranslations, usedTranslations } =
-            optimizeTranslationUsages(chunkInfo, translationKeyIndexMap);
-        missingChunkTranslations.forEach((translationKey) => missingTranslations.add(translationKey));
-        usedTranslations.forEach((translationKey) => unusedTranslations.delete(translationKey));
+        optimizeChunkUsages(chunkInfo);
     }
 
     return { missingTranslations, unusedTranslations };
 }
 
+/**
+ * @param {TranslationObjectInfo[]} referenceTranslationObjects
+ * @returns {Record<string, number>} - The translation indices of the keys of all reference language files, in order
+ */
+function createTranslationKeyIndexMap(referenceTranslationObjects) {
+    /** @type {Record<string, number>} */
+    const translationKeyIndexMap = {};
+    let translationKeyCount = 0;
+    for (const { translations } of referenceTranslationObjects) {
+        for (const key of Object.keys(translations)) {
+            // Normalize with isEvalWrapped false as eval string literal escape sequences are removed in parsed
+            // translations
+            const normalizedKey = normalizeString(key, false);
+            if (normalizedKey in translationKeyIndexMap) continue; // also in another reference language file
+            translationKeyIndexMap[normalizedKey] = translationKeyCount++;
+        }
+    }
+    return translationKeyIndexMap;
+}
+
+/**
+ * Optimize a single module instead of a chunk, for optimizing modules in the transform phase. Language modules are
+ * optimized like language chunks, other modules like code chunks.
+ * @param {ChunkInfo} moduleInfo - The module as chunk. Language modules list themselves in languageModules.
+ * @param {Record<string, number>} translationKeyIndexMap
+ * @param {TranslationObjectInfo[]} referenceTranslationObjects
+ * @param {UsageRewriting} usageRewriting
+ * @returns {{source: Source, missingTranslations: Set<string>, usedTranslations: Set<string>}}
+ */
+function optimizeModule(moduleInfo, translationKeyIndexMap, referenceTranslationObjects, usageRewriting) {
+    if (moduleInfo.languageModules && moduleInfo.languageModules.length) {
+        const parsedLanguageChunkInfo = parseLanguageChunk(moduleInfo);
+        optimizeLanguageChunk(parsedLanguageChunkInfo, translationKeyIndexMap, referenceTranslationObjects);
+        return {
+            source: parsedLanguageChunkInfo.source,
+            missingTranslations: new Set(),
+            usedTranslations: new Set(),
+        };
+    }
+    const chunkInfo = { ...moduleInfo };
+    const optimizeUsages = usageRewriting === 'ast' ? optimizeTranslationUsagesViaAst : optimizeTranslationUsages;
+    const { missingTranslations, usedTranslations } = optimizeUsages(chunkInfo, translationKeyIndexMap);
+    return { source: chunkInfo.source, missingTranslations, usedTranslations };
+}
+
 /**
  * @param {ParsedLanguageChunkInfo} languageChunkInfo
  * @param {Record<string, number>} translationKeyIndexMap
+ * @param {TranslationObjectInfo[]} referenceTranslationObjects
+ */
+function optimizeLanguageChunk(languageChunkInfo, translationKeyIndexMap, referenceTranslationObjects) {
+    // Make code modifications using ReplaceSource to automatically update sourcemaps.
+    // Note that all positions are relative to the original source, regardless of replacements. Therefor always create
+    // a new ReplaceSource, even if originalSource is one (which it typically shouldn't be).
+    const source = new ReplaceSource(languageChunkInfo.source);
+    for (const translationObject of languageChunkInfo.translationObjects) {
+        const fallbackTranslations = getFallbackTranslations(translationObject, referenceTranslationObjects);
+        optimizeTranslationObject(translationObject, source, languageChunkInfo.isEvalWrapped, translationKeyIndexMap,
+            fallbackTranslations);
+    }
+    languageChunkInfo.source = source;
+}
+
+/**
+ * Get the fallback translations for a language file from the reference language files in the same directory, e.g. for
+ * language files per feature, or otherwise with the same file name, e.g. for directories per language, or otherwise
+ * from all reference language files. This way, fallbacks of one language file do not override the translations of
+ * another language file of the same language.
+ * @param {TranslationObjectInfo} translationObject
+ * @param {TranslationObjectInfo[]} referenceTranslationObjects
+ * @returns {Record<string, string>}
+ */
+function getFallbackTranslations(translationObject, referenceTranslationObjects) {
+    const directory = path.dirname(translationObject.path);
+    const name = path.basename(translationObject.path);
+    let references = referenceTranslationObjects.filter((reference) => path.dirname(reference.path) === directory);
+    if (!references.length) {
+        references = referenceTranslationObjects.filter((reference) => path.basename(reference.path) === name);
+    }
+    if (!references.length) references = referenceTranslationObjects;
+
+    /** @type {Record<string, string>} */
+    const fallbackTranslations = {};
+    for (const { translations } of references) {
+        for (const [key, value] of Object.entries(translations)) {
+            const normalizedKey = normalizeString(key, false);
+            if (normalizedKey in fallbackTranslations) continue;
+            fallbackTranslations[normalizedKey] = normalizeString(value, false);
+        }
+    }
+    return fallbackTranslations;
+}
+
+/**
+ * @param {TranslationObjectInfo} translationObject
+ * @param {import('webpack5').sources.ReplaceSource} source - The ReplaceSource of the chunk
+ * @param {boolean} isEvalWrapped
+ * @param {Record<string, number>} translationKeyIndexMap
  * @param {Record<string, string>} fallbackTranslations
  */
-function optimizeLanguageChunk(languageChunkInfo, translationKeyIndexMap, fallbackTranslations) {
+function optimizeTranslationObject(translationObject, source, isEvalWrapped, translationKeyIndexMap,
+    fallbackTranslations) {
     // Replace the keys of the translations object by shorter numbers and fill in fallback translations where no
     // translation is available.
 
-    const missingTranslations = new Set(Object.keys(translationKeyIndexMap));
-    const { source: originalSource, translationsCode, translationsCodePosition, isEvalWrapped } = languageChunkInfo;
-
-    // Make code modifications using ReplaceSource to automatically update sourcemaps.
-    // Note that all positions are relative to the original source, regardless of replacements. Therefor always create
-    // a new ReplaceSource, even if originalSource is one (which it typically shouldn't be).
-    const source = new ReplaceSource(originalSource);
+    const missingTranslations = new Set(Object.keys(fallbackTranslations));
+    const { translationsCode, translationsCodePosition } = translationObject;
     const translationEntryRegex = generateTranslationEntryRegex(isEvalWrapped);
     let match;
 
@@ -148,7 +327,7 @@ function optimizeLanguageChunk(languageChunkInfo, translationKeyIndexMap, fallba
         // case does not actually appear when using the po loader as it automatically assigns the key as
         // translation if the translation is empty.
         if (matchedTranslation.length === 2) {
-            const fallbackTranslation = fallbackTranslations[translationKey] || translationKey;
+            const fallbackTranslation = fallbackTranslations[translationKey] || stripContext(translationKey);
             const translationPosition = matchPosition + matchedTranslationKey.length
                 + matchedDoubleColon.length;
             source.replace(
@@ -162,20 +341,20 @@ function optimizeLanguageChunk(languageChunkInfo, translationKeyIndexMap, fallba
     // Add fallback translations for missing translations
     const insertionPosition = translationsCodePosition + translationsCode.length - 1; // before } of translations object
     let hasTrailingComma = /,\s*};?$/.test(translationsCode);
+    let isEmpty = /^\{\s*}$/.test(translationsCode);
     for (const missingTranslationKey of missingTranslations) {
         const translationKeyIndex = translationKeyIndexMap[missingTranslationKey]; // guaranteed to exist
-        const fallbackTranslation = fallbackTranslations[missingTranslationKey] || missingTranslationKey;
+        const fallbackTranslation = fallbackTranslations[missingTranslationKey] || stripContext(missingTranslationKey);
         source.insert(
             insertionPosition,
-            `${hasTrailingComma ? '' : ','}${translationKeyIndex}:${encodeAsStringLiteral(
+            `${hasTrailingComma || isEmpty ? '' : ','}${translationKeyIndex}:${encodeAsStringLiteral(
                 fallbackTranslation,
                 isEvalWrapped,
             )}`,
         );
         hasTrailingComma = false;
+        isEmpty = false;
     }
-
-    languageChunkInfo.source = source;
 }
 
 /**
@@ -218,6 +397,38 @@ function optimizeTranslationUsages(chunkInfo, translationKeyIndexMap) {
         );
     }
 
+    // $tp calls with context, which are keyed by context and key in the language files. As the short index already
+    // identifies the message with its context, the context is replaced by an empty string, such that $tp looks up the
+    // index as is, see getTranslationKey in runtime.js.
+    const contextTranslationUsageRegex = generateContextTranslationUsageRegex(isEvalWrapped);
+    while ((match = contextTranslationUsageRegex.exec(originalCode)) !== null) {
+        const [, matchedPrefix, matchedContext, matchedSeparator, matchedTranslationKey] = match;
+        const contextPosition = match.index + matchedPrefix.length;
+        const translationKeyPosition = contextPosition + matchedContext.length + matchedSeparator.length;
+        const context = normalizeString(matchedContext, isEvalWrapped);
+        const normalizedTranslationKey = normalizeString(matchedTranslationKey, isEvalWrapped);
+        const contextTranslationKey = context
+            ? `${context}${CONTEXT_SEPARATOR}${normalizedTranslationKey}`
+            : normalizedTranslationKey;
+        const translationKeyIndex = translationKeyIndexMap[contextTranslationKey];
+        if (translationKeyIndex === undefined) {
+            missingTranslations.add(contextTranslationKey);
+            continue;
+        }
+        usedTranslations.add(contextTranslationKey);
+
+        source.replace(
+            contextPosition, // start, inclusive
+            contextPosition + matchedContext.length - 1, // end, inclusive
+            '\'\'', // replacement
+        );
+        source.replace(
+            translationKeyPosition, // start, inclusive
+            translationKeyPosition + matchedTranslationKey.length - 1, // end, inclusive
+            `'${translationKeyIndex}'`, // replacement
+        );
+    }
+
     chunkInfo.source = source;
 
     return {
@@ -296,6 +507,25 @@ function generateTranslationUsageRegex(isEvalWrapped) {
     );
 }
 
+/**
+ * @param {boolean} isEvalWrapped
+ * @returns {RegExp}
+ */
+function generateContextTranslationUsageRegex(isEvalWrapped) {
+    const ws = matchWhitespace(isEvalWrapped);
+    // Match the context and translation key which are (potentially concatenated) strings
+    const str = matchString(null, isEvalWrapped);
+    const stringPart = `(?:${str}${ws}\\+${ws})*${str}`;
+    // Capturing groups in this regex are used in optimizeTranslationUsages
+    return new RegExp(
+        `([$.]tp${ws}\\(${ws})` // $tp call
+        + `(${stringPart})` // context
+        + `(${ws},${ws})` // argument separator
+        + `(${stringPart})`, // translation key
+        'g',
+    );
+}
+
 /**
  * @param {string | null} expectedString
  * @param {boolean} isEvalWrapped
@@ -350,6 +580,7 @@ function normalizeString(str, isEvalWrapped) {
     }
     return str.replace(/\\n/g, '\n') // unescape newlines
         .replace(/\\u00a0/g, '\u00a0') // unescape non breaking spaces
+        .replace(/\\(?:u0004|x04)/g, CONTEXT_SEPARATOR) // unescape context separators
         .replace(/^["'`](.*)["'`]$/gs, '$1') // remove outer string delimiters
         .replace(/['"`]\s*\+\s*['"`]/g, '') // resolve concatenations
         .replace(/\\(['"`])/g, '$1'); // unescape inner string delimiter chars
@@ -362,6 +593,7 @@ function normalizeString(str, isEvalWrapped) {
 function encodeAsStringLiteral(str, isEvalWrapped) {
     str = str.replace(/\n/g, '\\n') // escape newlines
         .replace(/\u00a0/g, '\\u00a0') // escape non breaking spaces
+        .replace(/\u0004/g, '\\u0004') // escape context separators
         .replace(/(?<!\\)['"`]/g, '\\$&'); // escape inner string delimiter chars
     if (isEvalWrapped) {
         // If code is wrapped in an eval string literal, extra escape backslashes and quotes.
@@ -370,6 +602,24 @@ function encodeAsStringLiteral(str, isEvalWrapped) {
     return `'${str}'`;
 }
 
+/**
+ * @param {string} translationKey
+ * @returns {string} - The translation key without context, i.e. the message itself
+ */
+function stripContext(translationKey) {
+    return translationKey.slice(translationKey.indexOf(CONTEXT_SEPARATOR) + 1);
+}
+
+/**
+ * @param {string} translationKey
+ * @returns {string} - The translation key in readable form, as the context separator is a control character
+ */
+function formatTranslationKey(translationKey) {
+    const separatorIndex = translationKey.indexOf(CONTEXT_SEPARATOR);
+    if (separatorIndex === -1) return translationKey;
+    return `${stripContext(translationKey)} (context: ${translationKey.slice(0, separatorIndex)})`;
+}
+
 /**
  * @param {Set<string>} missingTranslations
  * @param {Set<string>} unusedTranslations
@@ -379,11 +629,17 @@ function reportMissingAndUnusedTranslations(missingTranslations, unusedTranslati
     let warnMessage = '';
     if (missingTranslations.size) {
         warnMessage += 'The following translations appear in the bundled code but not in the language files:\n'
-            + [...missingTranslations].reduce((result, translationKey) => `${result}  ${translationKey}\n`, '');
+            + [...missingTranslations].reduce(
+                (result, translationKey) => `${result}  ${formatTranslationKey(translationKey)}\n`,
+                '',
+            );
     }
     if (unusedTranslations.size) {
         warnMessage += 'The following translations appear in the language files but not in the bundled code:\n'
-            + [...unusedTranslations].reduce((result, translationKey) => `${result}  ${translationKey}\n`, '');
+            + [...unusedTranslations].reduce(
+                (result, translationKey) => `${result}  ${formatTranslationKey(translationKey)}\n`,
+                '',
+            );
     }
     if (missingTranslations.size || unusedTranslations.size) {
         warnMessage += '\nPlease extract the newest language reference file from the source code.';
@@ -392,3 +648,9 @@ function reportMissingAndUnusedTranslations(missingTranslations, unusedTranslati
         emitWarning(warnMessage);
     }
 }
+
+// Building blocks for optimizing single modules in the transform phase, see rollupTransform.js
+module.exports.parseLanguageModule = parseLanguageModule;
+module.exports.createTranslationKeyIndexMap = createTranslationKeyIndexMap;
+module.exports.optimizeModule = optimizeModule;
+module.exports.reportMissingAndUnusedTranslations = reportMissingAndUnusedTranslations;
@@ -0,0 +1,95 @@
+const path = require('path');
+const { createFilter } = require('@rollup/pluginutils');
+const { TRANSLATION_FILE_EXTENSIONS, DEFAULT_TRANSLATION_FILE_EXTENSIONS } = require('../loader/common.js');
+
+/**
+ * @typedef {import('@rollup/pluginutils').FilterPattern} FilterPattern
+ * @typedef {string | RegExp} ReferenceLanguage - The language of the messages in the source code, either as language
+ *     code, which is matched against the name of the translation file, e.g. 'en' for en.po or 'en-GB' for en-GB.xlf, or
+ *     as regex which is tested against the path of the translation file.
+ * @typedef {{
+ *     referenceLanguage?: ReferenceLanguage,
+ *     languageFiles?: FilterPattern,
+ *     include?: FilterPattern,
+ *     exclude?: FilterPattern,
+ *     usageRewriting?: import('./common').UsageRewriting,
+ * }} OptimizerOptions - Options shared by the webpack and rollup plugins
+ */
+
+/**
+ * @param {string[]} extensions
+ * @returns {string} - The extensions as regex alternatives, e.g. po|pot|xlf
+ */
+function toExtensionsPattern(extensions) {
+    return extensions.map((extension) => extension.substring(1)).join('|');
+}
+
+// The same formats which the loader handles by default
+const LANGUAGE_FILE_REGEX = new RegExp(`\\.(?:${toExtensionsPattern(DEFAULT_TRANSLATION_FILE_EXTENSIONS)})$`);
+// English reference language files, if no referenceLanguage is specified, e.g. en.po, en-US.po or app.en.po
+const DEFAULT_REFERENCE_LANGUAGE_FILE_NAME_REGEX = /\ben[-.]/;
+
+/**
+ * Create a filter for the paths of language files imported via the loader. Chunks containing a language file are
+ * language chunks. Relative glob patterns are resolved against the current working directory.
+ * @param {FilterPattern} [languageFiles] - By default, .po and .pot files. Other formats like .json or .yaml have to be
+ *     specified explicitly, as these extensions are also used by ordinary modules.
+ * @returns {(filename: string) => boolean}
+ */
+function createLanguageFileFilter(languageFiles) {
+    return createFilter(languageFiles || LANGUAGE_FILE_REGEX);
+}
+
+/**
+ * Create a filter for the filenames of the generated code chunks in which translation usages are optimized. The
+ * patterns are matched against the output filenames as they are, without resolving them against a directory.
+ * @param {FilterPattern} [include] - By default, all chunks are included
+ * @param {FilterPattern} [exclude]
+ * @returns {(filename: string) => boolean}
+ */
+function createCodeChunkFilter(include, exclude) {
+    return createFilter(include, exclude, { resolve: false });
+}
+
+/**
+ * Create a filter for the ids of the code modules in which translation usages are optimized, if the optimization runs
+ * in the transform phase. Relative glob patterns are resolved against the current working directory.
+ * @param {FilterPattern} [include]
+ * @param {FilterPattern} [exclude]
+ * @returns {(id: string) => boolean}
+ */
+function createCodeModuleFilter(include, exclude) {
+    return createFilter(include, exclude);
+}
+
+/**
+ * Create a matcher for the path of the translation file of the reference language, which provides the fallback
+ * translations and determines the indices of the translations. Note that like the loader's referenceLanguage option,
+ * a language code is not compared to a Language header in the file.
+ * @param {ReferenceLanguage} [referenceLanguage] - By default, English files with a name starting with or containing
+ *     en followed by a dash or dot, e.g. en.po, en-US.po or app.en.po.
+ * @returns {(filename: string) => boolean}
+ */
+function createReferenceLanguageMatcher(referenceLanguage) {
+    if (referenceLanguage === undefined) {
+        return (filename) => DEFAULT_REFERENCE_LANGUAGE_FILE_NAME_REGEX.test(path.basename(filename));
+    }
+    if (referenceLanguage instanceof RegExp) {
+        return (filename) => {
+            referenceLanguage.lastIndex = 0; // in case of a global regex
+            return referenceLanguage.test(filename);
+        };
+    }
+    return (filename) => {
+        const extension = path.extname(filename);
+        return TRANSLATION_FILE_EXTENSIONS.includes(extension.toLowerCase())
+            && path.basename(filename, extension) === referenceLanguage;
+    };
+}
+
+module.exports = {
+    createLanguageFileFilter,
+    createCodeChunkFilter,
+    createCodeModuleFilter,
+    createReferenceLanguageMatcher,
+};
@@ -1,10 +1,18 @@
-const path = require('path');
 // We also use webpack-sources for our rollup builds, as alternative to magic-string which is usually used in rollup
 // plugins. There is currently a discrepancy between the latest @types/webpack-sources and the types that webpack
 // defines internally for webpack-sources.
 const OriginalSource = /** @type {typeof import('webpack5').sources.OriginalSource} */ (
     /** @type {unknown} */ (require('webpack-sources').OriginalSource));
 const processChunks = require('./common.js');
+const rollupI18nTransformOptimizerPlugin = require('./rollupTransform.js');
+const {
+    createLanguageFileFilter,
+    createCodeChunkFilter,
+    createReferenceLanguageMatcher,
+} = require('./languageFiles.js');
+
+// Vendor chunks, which do not contain our translation usages
+const DEFAULT_EXCLUDE = /(?:^|\/)vendor\./;
 
 /**
  * @typedef {import('rollup').Plugin} RollupPlugin
@@ -13,59 +21,80 @@ const processChunks = require('./common.js');
  * @typedef {import('webpack5').sources.Source} Source - Actually is from webpack-sources, but use types from webpack5
  *
  * @typedef {import('./common').ChunkInfo} ChunkInfo
+ * @typedef {import('./common').LanguageModuleInfo} LanguageModuleInfo
+ * @typedef {import('./rollupTransform').RollupTransformOptimizerOptions & {
+ *     phase?: 'output' | 'transform',
+ * }} RollupI18nOptimizerPluginOptions - The phase in which the optimization runs, on the generated chunks in
+ *     generateBundle by default, or on the modules in the transform hook, see rollupTransform.js, which also describes
+ *     the options specific to the transform phase
  */
 
 /**
- * @returns {RollupPlugin & {apply: 'build'}}
+ * @param {RollupI18nOptimizerPluginOptions} [options]
+ * @returns {RollupPlugin & {apply?: 'build', enforce?: 'post'}}
  */
-module.exports = function rollupI18nOptimizerPlugin() {
+module.exports = function rollupI18nOptimizerPlugin(options = {}) {
+    if (options.phase === 'transform') return rollupI18nTransformOptimizerPlugin(options);
+
+    const referenceLanguage = options.referenceLanguage || 'en';
+    const isReferenceLanguageFile = createReferenceLanguageMatcher(options.referenceLanguage);
+    const isLanguageFile = createLanguageFileFilter(options.languageFiles);
+    const isOptimizedCodeChunk = createCodeChunkFilter(
+        options.include,
+        options.exclude !== undefined ? options.exclude : DEFAULT_EXCLUDE,
+    );
+
     return {
         name: 'po-optimizer',
 
         // If used as a vite plugin, explicitly only apply it during builds, not in the dev server. This plugin is
         // executed in the output generation phase via generateBundle, and therefore does not run in vite dev servers
-        // (see https://vitejs.dev/guide/api-plugin.html#universal-hooks).
-        // To avoid this limitation, we could consider transforming language files and language usages in a transform
-        // hook. However, this complicates things because then, en.po as reference file needs to manually be loaded
-        // first via load() and caches of all modules need to be invalidated via shouldTransformCachedModule and
-        // potentially be retriggered via load() of the modules. On the other hand, additional advantages would be that
-        // we would not need to work on already minified code, our modifications are automatically reflected in file
-        // hashes, and createFilter could be used.
+        // (see https://vitejs.dev/guide/api-plugin.html#universal-hooks). To avoid this limitation, the optimization
+        // can run in the transform phase instead, see rollupTransform.js.
         apply: 'build', // see https://vitejs.dev/guide/api-plugin.html#conditional-application
 
         // Augment content hashes of translation files with contents of the source language file. This is because the
         // content of the compiled translation file does not only depend on the translation po file, but also on the
         // source language file for added fallback translations and for translation indices.
         augmentChunkHash(chunk) {
-            if (!chunk.facadeModuleId || !/(?<!\ben)\.po$/.test(chunk.facadeModuleId)) return; // not a translation
-            const referenceLanguageModuleId = [...this.getModuleIds()].find((moduleId) => /\ben\.po$/.test(moduleId));
-            const referenceLanguageModuleInfo = this.getModuleInfo(referenceLanguageModuleId || '');
-            if (!referenceLanguageModuleInfo || !referenceLanguageModuleInfo.code) {
-                this.error('Reference language module en.po not found');
+            const isTranslationChunk = Object.keys(chunk.modules)
+                .some((moduleId) => isLanguageFile(moduleId) && !isReferenceLanguageFile(moduleId));
+            if (!isTranslationChunk) return;
+            const referenceLanguageModuleCodes = [...this.getModuleIds()]
+                .filter((moduleId) => isLanguageFile(moduleId) && isReferenceLanguageFile(moduleId))
+                .map((moduleId) => (this.getModuleInfo(moduleId) || { code: null }).code);
+            if (!referenceLanguageModuleCodes.length || referenceLanguageModuleCodes.some((code) => !code)) {
+                this.error(`Reference language module for referenceLanguage ${referenceLanguage} not found`);
                 return;
             }
-            return referenceLanguageModuleInfo.code;
+            return referenceLanguageModuleCodes.join('\n');
         },
 
         generateBundle(outputOptions, bundle) {
-            // categorize assets and parse language files
+            // categorize assets and collect the language files in language chunks. Language files can be bundled
+            // together, and with other code.
             /** @type {ChunkInfo[]} */
             const languageChunkInfos = [];
             /** @type {ChunkInfo[]} */
             const otherChunkInfos = [];
             for (const [filename, fileInfo] of Object.entries(bundle)) {
-                if (fileInfo.type !== 'chunk' || path.basename(filename).startsWith('vendor.')) continue;
-                const moduleIds = Object.keys(fileInfo.modules); // in rollup 2 fileInfo.moduleIds is not available yet
-                const languageFileModuleName = moduleIds.find((moduleId) => moduleId.endsWith('.po'));
+                if (fileInfo.type !== 'chunk') continue;
+                // Skip modules which got tree-shaken entirely. In rollup 2 fileInfo.moduleIds is not available yet.
+                const moduleIds = Object.keys(fileInfo.modules)
+                    .filter((moduleId) => fileInfo.modules[moduleId].renderedLength > 0);
+                const languageModuleIds = moduleIds.filter(isLanguageFile);
                 const source = new OriginalSource(fileInfo.code, filename);
-                if (languageFileModuleName) {
-                    if (moduleIds.length > 1) {
-                        this.error('Language file parsing currently only supports unbundled files. '
-                            + 'Each language file has to be its own chunk.');
-                        return;
-                    }
-                    languageChunkInfos.push({ filename, source });
-                } else {
+                if (languageModuleIds.length) {
+                    /** @type {LanguageModuleInfo[]} */
+                    const languageModules = languageModuleIds.map((moduleId) => ({
+                        path: moduleId,
+                        code: (this.getModuleInfo(moduleId) || { code: null }).code || '',
+                        isReferenceLanguage: isReferenceLanguageFile(moduleId),
+                    }));
+                    const hasTranslationUsages = moduleIds.length > languageModuleIds.length
+                        && isOptimizedCodeChunk(filename);
+                    languageChunkInfos.push({ filename, source, languageModules, hasTranslationUsages });
+                } else if (isOptimizedCodeChunk(filename)) {
                     otherChunkInfos.push({ filename, source });
                 }
             }
@@ -76,6 +105,7 @@ module.exports = function rollupI18nOptimizerPlugin() {
                     otherChunkInfos,
                     (filename, source) => updateChunk(bundle, filename, source),
                     (warning) => this.warn(warning),
+                    options.usageRewriting,
                 )
             } catch (e) {
                 const errorMessage = e instanceof Error ? e.message : String(e);
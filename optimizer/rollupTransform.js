@@ -0,0 +1,274 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { normalizePath } = require('@rollup/pluginutils');
+// See rollup.js regarding the usage of webpack-sources in rollup builds.
+const OriginalSource = /** @type {typeof import('webpack5').sources.OriginalSource} */ (
+    /** @type {unknown} */ (require('webpack-sources').OriginalSource));
+const {
+    parseLanguageModule,
+    createTranslationKeyIndexMap,
+    optimizeModule,
+    reportMissingAndUnusedTranslations,
+} = require('./common.js');
+const {
+    createLanguageFileFilter,
+    createCodeModuleFilter,
+    createReferenceLanguageMatcher,
+} = require('./languageFiles.js');
+
+const PLUGIN_NAME = 'po-optimizer';
+// Scripts and vue single file components, but not for example their style blocks, which vite loads as separate modules
+const DEFAULT_INCLUDE = /\.(?:[cm]?[jt]sx?|vue)$/;
+// Dependencies, which do not contain our translation usages
+const DEFAULT_EXCLUDE = /[\\/]node_modules[\\/]/;
+
+/**
+ * @typedef {import('rollup').Plugin} RollupPlugin
+ * @typedef {import('rollup').PluginContext} PluginContext
+ * @typedef {import('rollup').SourceMapInput} SourceMapInput
+ *
+ * @typedef {import('./common').TranslationObjectInfo} TranslationObjectInfo
+ * @typedef {import('./languageFiles').OptimizerOptions & {
+ *     referenceLanguageFiles?: string | string[],
+ * }} RollupTransformOptimizerOptions - The paths of the reference language files, relative to the project directory,
+ *     i.e. vite's root or otherwise the current working directory, are required in the transform phase
+ *
+ * @typedef {{
+ *     translationObject: Promise<TranslationObjectInfo>,
+ *     resolve: (translationObject: TranslationObjectInfo) => void,
+ *     reject: (error: Error) => void,
+ *     isLoading: boolean,
+ * }} ReferenceLanguageFile - The translations of a reference language file, which are captured when it's transformed
+ * @typedef {{
+ *     referenceTranslationObjects: TranslationObjectInfo[],
+ *     translationKeyIndexMap: Record<string, number>,
+ *     hash: string,
+ * }} ReferenceLanguage - The state of all reference language files, which all optimized modules depend on
+ * @typedef {{
+ *     transformRequest: (url: string) => Promise<object | null>,
+ *     moduleGraph: {
+ *         getModuleById: (id: string) => object | undefined,
+ *         invalidateModule: (module: object) => void,
+ *     },
+ *     ws: { send: (payload: { type: 'full-reload' }) => void },
+ * }} ViteDevServer - The part of vite's dev server which we use
+ * @typedef {RollupPlugin & {
+ *     enforce: 'post',
+ *     configResolved: (config: {command: 'build' | 'serve', root: string}) => void,
+ *     configureServer: (server: ViteDevServer) => void,
+ *     handleHotUpdate: (context: {file: string, server: ViteDevServer}) => [] | void,
+ * }} RollupTransformPlugin
+ */
+
+/**
+ * Variant of the rollup / vite optimizer plugin, which optimizes the language files and translation usages of modules
+ * in the transform phase instead of the generated chunks in the output generation phase. This way, the optimization
+ * also applies in the vite dev server, and is automatically reflected in the content hashes of the chunks.
+ * As all optimized modules depend on the reference language files for the translation indices and fallbacks, these are
+ * loaded first. They have to be listed explicitly, as they have to be known before they are imported by any module.
+ * @param {RollupTransformOptimizerOptions} options
+ * @returns {RollupTransformPlugin}
+ */
+module.exports = function rollupI18nTransformOptimizerPlugin(options) {
+    const referenceLanguageFilePaths = typeof options.referenceLanguageFiles === 'string'
+        ? [options.referenceLanguageFiles]
+        : options.referenceLanguageFiles || [];
+    if (!referenceLanguageFilePaths.length) {
+        throw new Error('The reference language files have to be listed in the referenceLanguageFiles option in the '
+            + 'transform phase.');
+    }
+    const isReferenceLanguageFile = createReferenceLanguageMatcher(options.referenceLanguage);
+    const isLanguageFile = createLanguageFileFilter(options.languageFiles);
+    const isOptimizedCodeModule = createCodeModuleFilter(
+        options.include !== undefined ? options.include : DEFAULT_INCLUDE,
+        options.exclude !== undefined ? options.exclude : DEFAULT_EXCLUDE,
+    );
+    // The regexes are tailored to minified chunks, and for example do not find the keypath of vue3's <i18n-t> component
+    // in unminified render functions.
+    const usageRewriting = options.usageRewriting || 'ast';
+    let projectDirectory = process.cwd();
+    let isVite = false;
+    /** @type {ViteDevServer | null} */
+    let devServer = null;
+
+    /** @type {Map<string, ReferenceLanguageFile>} */
+    let referenceLanguageFiles = new Map();
+    /** @type {Promise<ReferenceLanguage> | null} */
+    let referenceLanguagePromise = null;
+    // Translation usages of the optimized modules, which are kept for cached modules in rollup's watch mode
+    /** @type {Map<string, {missingTranslations: Set<string>, usedTranslations: Set<string>}>} */
+    const moduleTranslationUsages = new Map();
+    // Modules which need to be invalidated in the vite dev server, if a reference language file changes
+    /** @type {Set<string>} */
+    const optimizedModuleIds = new Set();
+
+    /**
+     * Load all reference language files, which have not been loaded yet, and wait for their translations.
+     * @param {PluginContext} context
+     * @returns {Promise<ReferenceLanguage>}
+     */
+    function loadReferenceLanguage(context) {
+        if (referenceLanguagePromise) return referenceLanguagePromise;
+        for (const [id, referenceLanguageFile] of referenceLanguageFiles) {
+            if (referenceLanguageFile.isLoading) continue;
+            referenceLanguageFile.isLoading = true;
+            // Do not wait for the load itself, which only finishes after the transform of the reference language file,
+            // which in turn waits for the other reference language files. Instead, wait for the translations, which are
+            // captured in the transform hook. In the vite dev server, this.load only runs the load hooks of plugins,
+            // but does not read files from disk, therefore request the module from the dev server instead.
+            (devServer ? devServer.transformRequest(id) : context.load({ id })).then(
+                () => referenceLanguageFile.reject(new Error(`Failed to load reference language file ${id}.`)),
+                referenceLanguageFile.reject,
+            );
+        }
+        referenceLanguagePromise = Promise.all([...referenceLanguageFiles.values()]
+            .map(({ translationObject }) => translationObject))
+            .then((referenceTranslationObjects) => ({
+                referenceTranslationObjects,
+                translationKeyIndexMap: createTranslationKeyIndexMap(referenceTranslationObjects),
+                hash: crypto.createHash('sha256')
+                    .update(JSON.stringify(referenceTranslationObjects.map(({ path, translations }) =>
+                        [path, translations])))
+                    .digest('hex'),
+            }));
+        return referenceLanguagePromise;
+    }
+
+    return {
+        name: PLUGIN_NAME,
+
+        // If used as a vite plugin, run after vite's and other plugins' transforms, e.g. the compilation of vue single
+        // file components and typescript, and the po loader. In rollup, the plugin has to be listed after them.
+        enforce: 'post',
+
+        configResolved(config) {
+            isVite = true;
+            projectDirectory = config.root;
+        },
+
+        configureServer(server) {
+            devServer = server;
+        },
+
+        buildStart() {
+            referenceLanguageFiles = new Map();
+            for (const filePath of referenceLanguageFilePaths) {
+                const file = path.resolve(projectDirectory, filePath);
+                if (!isLanguageFile(file) || !fs.existsSync(file)) {
+                    this.error(`Reference language file ${file} not found or not matched by the languageFiles `
+                        + 'option.');
+                }
+                // Vite uses normalized module ids also on Windows, rollup the native paths.
+                referenceLanguageFiles.set(isVite ? normalizePath(file) : file, createReferenceLanguageFile());
+            }
+            referenceLanguagePromise = null;
+        },
+
+        // In rollup's watch mode, reuse cached modules only if they have been optimized for the current reference
+        // language files. The reference language files themselves always get transformed again, to capture their
+        // translations.
+        async shouldTransformCachedModule({ id, meta }) {
+            if (referenceLanguageFiles.has(id)) return true;
+            if (!meta[PLUGIN_NAME]) return false;
+            const { hash } = await loadReferenceLanguage(this);
+            return meta[PLUGIN_NAME].referenceLanguageHash !== hash;
+        },
+
+        async transform(code, id) {
+            const isLanguageModule = isLanguageFile(id);
+            if (!isLanguageModule && !isOptimizedCodeModule(id)) return null;
+            // Listed reference language files, and unlisted files of the reference language, which are reported below
+            const isReferenceLanguage = isLanguageModule
+                && (referenceLanguageFiles.has(id) || isReferenceLanguageFile(id));
+
+            try {
+                if (isReferenceLanguage) {
+                    const referenceLanguageFile = referenceLanguageFiles.get(id);
+                    if (!referenceLanguageFile) {
+                        throw new Error(`Reference language file ${id} is not listed in the referenceLanguageFiles `
+                            + 'option.');
+                    }
+                    referenceLanguageFile.isLoading = true; // is being loaded already
+                    referenceLanguageFile.resolve(parseLanguageModule(id, code, true));
+                }
+                const { referenceTranslationObjects, translationKeyIndexMap, hash } =
+                    await loadReferenceLanguage(this);
+                const { source, missingTranslations, usedTranslations } = optimizeModule(
+                    {
+                        filename: id,
+                        source: new OriginalSource(code, id),
+                        languageModules: isLanguageModule ? [{ path: id, code, isReferenceLanguage }] : undefined,
+                    },
+                    translationKeyIndexMap,
+                    referenceTranslationObjects,
+                    usageRewriting,
+                );
+                moduleTranslationUsages.set(id, { missingTranslations, usedTranslations });
+                optimizedModuleIds.add(id);
+
+                const meta = { [PLUGIN_NAME]: { referenceLanguageHash: hash } };
+                const { source: optimizedCode, map } = source.sourceAndMap();
+                if (optimizedCode === code) return { meta };
+                return { code: /** @type {string} */ (optimizedCode), map: /** @type {SourceMapInput} */ (map), meta };
+            } catch (e) {
+                const errorMessage = e instanceof Error ? e.message : String(e);
+                this.error(errorMessage);
+            }
+        },
+
+        // In the vite dev server, a changed reference language file can change the translation indices and fallbacks
+        // of all optimized modules. Invalidate them and reload the page, instead of a hot update of the language file.
+        handleHotUpdate({ file, server }) {
+            if (!referenceLanguageFiles.has(file)) return;
+            referenceLanguageFiles.set(file, createReferenceLanguageFile());
+            referenceLanguagePromise = null;
+            for (const id of optimizedModuleIds) {
+                const module = server.moduleGraph.getModuleById(id);
+                if (module) server.moduleGraph.invalidateModule(module);
+            }
+            optimizedModuleIds.clear();
+            server.ws.send({ type: 'full-reload' });
+            return [];
+        },
+
+        async buildEnd(error) {
+            // In the dev server, buildEnd is only called when the server is closed.
+            if (error || devServer || !referenceLanguagePromise) return;
+            const { translationKeyIndexMap } = await referenceLanguagePromise;
+            const moduleIds = new Set(this.getModuleIds());
+            /** @type {Set<string>} */
+            const missingTranslations = new Set();
+            const unusedTranslations = new Set(Object.keys(translationKeyIndexMap));
+            for (const [id, translationUsages] of moduleTranslationUsages) {
+                if (!moduleIds.has(id)) continue; // not part of the build anymore
+                const { missingTranslations: missingModuleTranslations, usedTranslations } = translationUsages;
+                missingModuleTranslations.forEach((translationKey) => missingTranslations.add(translationKey));
+                usedTranslations.forEach((translationKey) => unusedTranslations.delete(translationKey));
+            }
+            reportMissingAndUnusedTranslations(
+                missingTranslations,
+                unusedTranslations,
+                (warning) => this.warn(warning),
+            );
+        },
+    };
+};
+
+/**
+ * @returns {ReferenceLanguageFile}
+ */
+function createReferenceLanguageFile() {
+    /** @type {ReferenceLanguageFile['resolve']} */
+    let resolve = () => {};
+    /** @type {ReferenceLanguageFile['reject']} */
+    let reject = () => {};
+    /** @type {Promise<TranslationObjectInfo>} */
+    const translationObject = new Promise((resolvePromise, rejectPromise) => {
+        resolve = resolvePromise;
+        reject = rejectPromise;
+    });
+    // Avoid unhandled rejections for reference language files, which are not waited for anymore.
+    translationObject.catch(() => {});
+    return { translationObject, resolve, reject, isLoading: false };
+}
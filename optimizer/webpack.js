@@ -9,12 +9,21 @@ const Webpack5JavascriptModulesPlugin = parseInt(require('webpack').version || '
     ? /** @type {import('webpack5')} */(/** @type {unknown} */ (require('webpack'))).javascript.JavascriptModulesPlugin
     : null;
 const processChunks = require('./common.js');
+const {
+    createLanguageFileFilter,
+    createCodeChunkFilter,
+    createReferenceLanguageMatcher,
+} = require('./languageFiles.js');
+
+// Vendor chunks as created by vue-cli, which do not contain our translation usages
+const DEFAULT_EXCLUDE = /chunk-vendors/;
 
 /**
  * @typedef {import('tapable1types').Tapable.Plugin} Webpack4Plugin
  * @typedef {import('webpack4types').Compiler} Webpack4Compiler
  * @typedef {import('webpack4types').compilation.Compilation} Webpack4Compilation
  * @typedef {import('webpack4types').compilation.Chunk} Webpack4Chunk
+ * @typedef {import('webpack4types').compilation.Module} Webpack4Module
  * @typedef {import('webpack4types').compilation.ChunkHash} Webpack4ChunkHash
  *
  * @typedef {import('webpack5').WebpackPluginInstance} Webpack5Plugin
@@ -22,17 +31,21 @@ const processChunks = require('./common.js');
  * @typedef {import('webpack5').Compilation} Webpack5Compilation
  * @typedef {typeof import('webpack5').Compilation} Webpack5CompilationConstructor
  * @typedef {import('webpack5').Chunk} Webpack5Chunk
+ * @typedef {import('webpack5').Module} Webpack5Module
  * @typedef {ReturnType<import('webpack5').util.createHash>} Webpack5Hash
  *
  * @typedef {Webpack4Compiler|Webpack5Compiler} WebpackCompiler
  * @typedef {Webpack4Compilation|Webpack5Compilation} WebpackCompilation
  * @typedef {Webpack4Chunk|Webpack5Chunk} WebpackChunk
+ * @typedef {Webpack4Module|Webpack5Module} WebpackModule
  * @typedef {Webpack4ChunkHash|Webpack5Hash} WebpackChunkHash
  * @typedef {import('webpack5').PathData} WebpackPathData - Not properly typed in Webpack 4
  *
  * @typedef {import('webpack5').sources.Source} Source - Actually is from webpack-sources, but use types from webpack5
  *
  * @typedef {import('./common').ChunkInfo} ChunkInfo
+ * @typedef {import('./common').LanguageModuleInfo} LanguageModuleInfo
+ * @typedef {import('./languageFiles').OptimizerOptions} I18nOptimizerPluginOptions
  */
 
 /**
@@ -72,6 +85,23 @@ const processChunks = require('./common.js');
  *   @implements {Webpack5Plugin}
  */
 class I18nOptimizerPlugin {
+    /**
+     * @param {I18nOptimizerPluginOptions} [options]
+     */
+    constructor(options = {}) {
+        this.referenceLanguage = options.referenceLanguage || 'en';
+        this.isReferenceLanguageFile = createReferenceLanguageMatcher(options.referenceLanguage);
+        this.isLanguageFile = createLanguageFileFilter(options.languageFiles);
+        this.isOptimizedCodeChunk = createCodeChunkFilter(
+            options.include,
+            options.exclude !== undefined ? options.exclude : DEFAULT_EXCLUDE,
+        );
+        this.usageRewriting = options.usageRewriting || 'regex';
+        // The reference language hash per compilation, which is needed for the hash of each language chunk
+        /** @type {WeakMap<WebpackCompilation, string | null>} */
+        this.referenceLanguageHashes = new WeakMap();
+    }
+
     /**
      * @param {WebpackCompiler} compiler
      */
@@ -144,9 +174,10 @@ class I18nOptimizerPlugin {
      * @param {WebpackCompilation} compilation
      */
     augmentTranslationChunkHash(chunk, chunkHash, compilation) {
-        if (!chunk.name || !/(?<!\ben)-po$/.test(chunk.name)) return; // not a language chunk or English reference chunk
-        const referenceLanguageModuleHash = this.getReferenceLanguageModuleHash(compilation);
-        chunkHash.update(referenceLanguageModuleHash);
+        if (!this.isTranslationChunk(chunk, compilation)) return;
+        const referenceLanguageHash = this.getReferenceLanguageHash(compilation);
+        if (!referenceLanguageHash) return;
+        chunkHash.update(referenceLanguageHash);
     }
 
     /**
@@ -154,12 +185,12 @@ class I18nOptimizerPlugin {
      * @param {WebpackCompilation} compilation
      */
     augmentTranslationContentHash(chunk, compilation) {
-        if (!chunk.name || !/(?<!\ben)-po$/.test(chunk.name)) return; // not a language chunk or English reference chunk
-        const referenceLanguageModuleHash = this.getReferenceLanguageModuleHash(compilation);
-        if (!referenceLanguageModuleHash) return;
+        if (!this.isTranslationChunk(chunk, compilation)) return;
+        const referenceLanguageHash = this.getReferenceLanguageHash(compilation);
+        if (!referenceLanguageHash) return;
         // Hacky way of customizing chunk.contentHash.javascript set by JavascriptModulesPlugin in Webpack 4, which
         // does not provide a hook for augmenting the hash yet.
-        let augmentedHash = referenceLanguageModuleHash;
+        let augmentedHash = referenceLanguageHash;
         const hashDigest = compilation.outputOptions.hashDigest;
         Object.defineProperty(chunk.contentHash, 'javascript', {
             get() {
@@ -167,7 +198,7 @@ class I18nOptimizerPlugin {
             },
             set(hash) {
                 augmentedHash = createHash('sha256')
-                    .update(referenceLanguageModuleHash)
+                    .update(referenceLanguageHash)
                     .update(hash)
                     .digest()
                     .toString(hashDigest);
@@ -176,20 +207,79 @@ class I18nOptimizerPlugin {
     }
 
     /**
+     * @param {WebpackChunk} chunk
      * @param {WebpackCompilation} compilation
-     * @returns {string | null}
+     * @returns {boolean} - Whether the chunk contains language files other than the reference language files
      */
-    getReferenceLanguageModuleHash(compilation) {
-        const referenceLanguageModule = [...compilation.modules].find((module) => /\ben\.po$/.test(module.resource));
-        if (!referenceLanguageModule) {
-            this.emitCompilationError(compilation, 'Reference language module en.po not found');
-            return null;
-        }
-        return 'chunkGraph' in compilation && 'getModuleHash' in compilation.chunkGraph
+    isTranslationChunk(chunk, compilation) {
+        return this.getChunkModules(chunk, compilation)
+            .some((module) => this.isLanguageModule(module) && !this.isReferenceLanguageModule(module));
+    }
+
+    /**
+     * @param {WebpackModule} module
+     * @returns {boolean}
+     */
+    isLanguageModule(module) {
+        const resource = getModuleResource(module);
+        return !!resource && this.isLanguageFile(resource);
+    }
+
+    /**
+     * @param {WebpackModule} module
+     * @returns {boolean}
+     */
+    isReferenceLanguageModule(module) {
+        const resource = getModuleResource(module);
+        return !!resource && this.isLanguageFile(resource) && this.isReferenceLanguageFile(resource);
+    }
+
+    /**
+     * @param {WebpackCompilation} compilation
+     * @returns {WebpackModule[]}
+     */
+    findReferenceLanguageModules(compilation) {
+        /** @type {WebpackModule[]} */
+        const modules = [...compilation.modules];
+        return [...new Set(flattenConcatenatedModules(modules))]
+            .filter((module) => this.isReferenceLanguageModule(module));
+    }
+
+    /**
+     * @param {WebpackChunk} chunk
+     * @param {WebpackCompilation} compilation
+     * @returns {WebpackModule[]} - The modules of the chunk, including modules concatenated into other modules
+     */
+    getChunkModules(chunk, compilation) {
+        return flattenConcatenatedModules('chunkGraph' in compilation && compilation.chunkGraph
             // Webpack 5
-            ? compilation.chunkGraph.getModuleHash(referenceLanguageModule, undefined)
+            ? compilation.chunkGraph.getChunkModules(/** @type {Webpack5Chunk} */ (chunk))
             // Webpack 4
-            : referenceLanguageModule.hash;
+            : /** @type {Webpack4Chunk} */ (chunk).getModules());
+    }
+
+    /**
+     * @param {WebpackCompilation} compilation
+     * @returns {string | null} - A hash of the code of all reference language modules. It is determined once per
+     *     compilation, such that a missing reference language module is reported only once.
+     */
+    getReferenceLanguageHash(compilation) {
+        const cachedHash = this.referenceLanguageHashes.get(compilation);
+        if (cachedHash !== undefined) return cachedHash;
+        let referenceLanguageHash = null;
+        const referenceLanguageModules = this.findReferenceLanguageModules(compilation);
+        if (!referenceLanguageModules.length) {
+            this.emitCompilationError(compilation, 'Reference language module for referenceLanguage '
+                + `${this.referenceLanguage} not found`);
+        } else {
+            const hash = createHash('sha256');
+            for (const module of referenceLanguageModules) {
+                hash.update(getModuleCode(module));
+            }
+            referenceLanguageHash = hash.digest('hex');
+        }
+        this.referenceLanguageHashes.set(compilation, referenceLanguageHash);
+        return referenceLanguageHash;
     }
 
     /**
@@ -205,16 +295,47 @@ class I18nOptimizerPlugin {
         const compilationOptions = (/** @type {{options: {devtool?: string}}} */ (compilation)).options;
         const isEvalWrapped = !!compilationOptions.devtool && compilationOptions.devtool.includes('eval');
 
-        // categorize assets and parse language files
+        // Detect language chunks by the language files they contain. Language files can be bundled together, and with
+        // other code.
+        /** @type {Map<string, {languageModules: LanguageModuleInfo[], hasOtherModules: boolean}>} */
+        const languageChunkFiles = new Map();
+        /** @type {WebpackChunk[]} */
+        const compilationChunks = [...compilation.chunks];
+        for (const chunk of compilationChunks) {
+            const chunkModules = this.getChunkModules(chunk, compilation);
+            const languageModules = chunkModules.filter((module) => this.isLanguageModule(module));
+            if (!languageModules.length) continue;
+            /** @type {LanguageModuleInfo[]} */
+            const languageModuleInfos = languageModules.map((module) => ({
+                path: /** @type {string} */ (getModuleResource(module)),
+                code: getModuleCode(module),
+                isReferenceLanguage: this.isReferenceLanguageModule(module),
+            }));
+            const hasOtherModules = chunkModules.some((module) => !this.isLanguageModule(module)
+                && !isConcatenatedModule(module));
+            chunk.files.forEach((file) => languageChunkFiles.set(file, {
+                languageModules: languageModuleInfos,
+                hasOtherModules,
+            }));
+        }
+
+        // categorize assets
         /** @type {ChunkInfo[]} */
         const languageChunkInfos = [];
         /** @type {ChunkInfo[]} */
         const otherChunkInfos = [];
         for (const [filename, source] of Object.entries(chunks)) {
-            if (!filename.endsWith('.js') || filename.includes('chunk-vendors')) continue;
-            if (/-po(?:-legacy)?(?:\.[^.]*)?\.js$/.test(filename)) {
-                languageChunkInfos.push({ filename, source, isEvalWrapped });
-            } else {
+            if (!filename.endsWith('.js')) continue;
+            const languageChunkFile = languageChunkFiles.get(filename);
+            if (languageChunkFile) {
+                languageChunkInfos.push({
+                    filename,
+                    source,
+                    isEvalWrapped,
+                    languageModules: languageChunkFile.languageModules,
+                    hasTranslationUsages: languageChunkFile.hasOtherModules && this.isOptimizedCodeChunk(filename),
+                });
+            } else if (this.isOptimizedCodeChunk(filename)) {
                 otherChunkInfos.push({ filename, source, isEvalWrapped });
             }
         }
@@ -225,13 +346,10 @@ class I18nOptimizerPlugin {
                 otherChunkInfos,
                 (filename, source) => this.updateChunk(compilation, filename, source),
                 (warning) => this.emitCompilationError(compilation, warning, 'warning'),
+                this.usageRewriting,
             );
         } catch (e) {
-            let errorMessage = e instanceof Error ? e.message : String(e);
-            if (errorMessage.includes('Failed to parse')) {
-                errorMessage += ' Note that currently bundling of language files is not supported by our webpack '
-                    + 'plugin. Each language file has to be its own chunk.';
-            }
+            const errorMessage = e instanceof Error ? e.message : String(e);
             this.emitCompilationError(compilation, errorMessage);
         }
     }
@@ -268,4 +386,47 @@ class I18nOptimizerPlugin {
     }
 }
 
+/**
+ * @param {WebpackModule} module
+ * @returns {boolean}
+ */
+function isConcatenatedModule(module) {
+    return Array.isArray((/** @type {{modules?: unknown}} */ (module)).modules);
+}
+
+/**
+ * @param {WebpackModule[]} modules
+ * @returns {WebpackModule[]} - The modules, followed by the modules they concatenate, if any
+ */
+function flattenConcatenatedModules(modules) {
+    /** @type {WebpackModule[]} */
+    const result = [];
+    for (const module of modules) {
+        result.push(module);
+        if (isConcatenatedModule(module)) {
+            result.push(.../** @type {{modules: WebpackModule[]}} */ (/** @type {unknown} */ (module)).modules);
+        }
+    }
+    return result;
+}
+
+/**
+ * @param {WebpackModule} module
+ * @returns {string} - The code of the module as generated by the loaders
+ */
+function getModuleCode(module) {
+    const { originalSource } = /** @type {{originalSource?: () => {source(): string | Buffer} | null}} */ (module);
+    const source = originalSource ? originalSource.call(module) : null;
+    return source ? source.source().toString() : '';
+}
+
+/**
+ * @param {WebpackModule} module
+ * @returns {string | null} - The path of the module's file, including the query. Only set for NormalModules.
+ */
+function getModuleResource(module) {
+    const { resource } = /** @type {{resource?: string}} */ (module);
+    return resource || null;
+}
+
 module.exports = I18nOptimizerPlugin;
@@ -0,0 +1,71 @@
+/**
+ * Helpers for looking up translations at runtime. This file is meant to be bundled into the application and therefore
+ * must not depend on any node modules.
+ */
+
+/**
+ * @typedef {{
+ *     availableLocales?: string[],
+ *     getLocaleMessage(locale: string): Record<string, unknown>,
+ *     setLocaleMessage(locale: string, messages: Record<string, unknown>): void,
+ * }} Composer - The part of vue-i18n's VueI18n instance (v8, v9 legacy mode) or Composer (v9) we use
+ * @typedef {Composer | {global: Composer}} I18n - A vue-i18n v8 VueI18n instance or a v9 I18n instance
+ */
+
+// Separator between context and message in the keys of messages with context, as used by gettext in .mo files.
+const CONTEXT_SEPARATOR = '\u0004';
+
+/**
+ * Get the key under which a message with context is available in the translations loaded via the loader, or converted
+ * via convertToJsonLib. Messages without context, i.e. an empty context, are keyed by the message itself. Note that
+ * the optimizer relies on this, as it replaces the context of $tp calls by an empty string when it replaces the key by
+ * its short index.
+ * @param {string} context
+ * @param {string} key
+ * @returns {string}
+ */
+function getTranslationKey(context, key) {
+    return context ? `${context}${CONTEXT_SEPARATOR}${key}` : key;
+}
+
+/** @type {I18n | null} */
+let registeredI18n = null;
+
+/**
+ * Register the vue-i18n instance, into which the language files loaded via the loader push their updated messages on
+ * hot module replacement during development.
+ * @param {I18n} i18n
+ */
+function registerI18n(i18n) {
+    registeredI18n = i18n;
+}
+
+/**
+ * Replace the messages of a language file in the messages of its locale in the registered vue-i18n instance. Called by
+ * hot updated language files. The messages of other language files of the same locale are kept.
+ * @param {string[]} locales - Candidates for the locale of the messages, e.g. the language specified in the language
+ *     file and its filename. The first one which is known to vue-i18n is updated, or otherwise the first one.
+ * @param {Record<string, unknown>} messages - The updated messages of the language file
+ * @param {Record<string, unknown>} [previousMessages] - The messages of the language file before the update
+ * @returns {boolean} - Whether the messages could be updated, i.e. whether an instance was registered
+ */
+function updateLocaleMessages(locales, messages, previousMessages = {}) {
+    if (!registeredI18n) return false;
+    const composer = 'global' in registeredI18n ? registeredI18n.global : registeredI18n;
+    const availableLocales = composer.availableLocales || [];
+    const locale = locales.find((candidate) => availableLocales.includes(candidate)) || locales[0];
+    const localeMessages = Object.assign({}, composer.getLocaleMessage(locale));
+    // Remove messages which have been removed from the language file.
+    for (const key of Object.keys(previousMessages)) {
+        delete localeMessages[key];
+    }
+    composer.setLocaleMessage(locale, Object.assign(localeMessages, messages));
+    return true;
+}
+
+module.exports = {
+    CONTEXT_SEPARATOR,
+    getTranslationKey,
+    registerI18n,
+    updateLocaleMessages,
+};
@@ -0,0 +1,107 @@
+const { performance } = require('perf_hooks');
+// See optimizer/common.js regarding the usage of webpack-sources and its types.
+const OriginalSource = /** @type {typeof import('webpack5').sources.OriginalSource} */ (
+    /** @type {unknown} */ (require('webpack-sources').OriginalSource));
+const processChunks = require('../optimizer/common.js');
+
+/**
+ * @typedef {import('../optimizer/common').ChunkInfo} ChunkInfo
+ * @typedef {import('../optimizer/common').UsageRewriting} UsageRewriting
+ */
+
+// Benchmark of the optimizer's regex based and ast based usage rewriting on a synthetic bundle resembling a minified
+// vue3 app with an inlined base64 sourcemap, as typical for dev builds, in a plain and in an eval wrapped variant.
+// Usage: $> node tools/benchmarkOptimizer.js [<number of components>] [<sourcemap size in MB>]
+// By default, 2000 components and a sourcemap of 10 MB are generated.
+const componentCount = parseInt(process.argv[2] || '2000', 10);
+const sourceMapSize = parseFloat(process.argv[3] || '10') * 1024 * 1024;
+const ITERATIONS = 3;
+
+/**
+ * @param {number} index
+ * @returns {string} - Minified code of a component render function with translation usages
+ */
+function generateComponentCode(index) {
+    return `const c${index}={name:"Component${index}",data:()=>({count:${index}}),`
+        + 'render(e,t,n,o,a,r){const s=Me("i18n-t");'
+        + `return Ne(),Be("div",{class:"component-${index}"},[Re("h1",null,Ae(e.$t("Title of component ${index}")),1),`
+        + `Re("p",null,Ae(e.$tc("{n} item in component ${index} | {n} items in component ${index}",a.count)),1),`
+        + `Ue(s,{keypath:"Read the {link} of component ${index}",tag:"p"},{link:Ve(()=>[Re("a",null,`
+        + `Ae(e.$tp("docs","documentation")),1)]),_:1}),Re("span",null,Ae(e.$t(a.dynamicKey)),1)])}};\n`;
+}
+
+/**
+ * @returns {{translations: Record<string, string>, code: string}}
+ */
+function generateBundle() {
+    /** @type {Record<string, string>} */
+    const translations = { 'docs\u0004documentation': 'documentation' };
+    let code = '';
+    for (let i = 0; i < componentCount; i++) {
+        translations[`Title of component ${i}`] = `Title of component ${i}`;
+        translations[`{n} item in component ${i} | {n} items in component ${i}`] = `{n} item | {n} items`;
+        translations[`Read the {link} of component ${i}`] = `Read the {link} of component ${i}`;
+        code += generateComponentCode(i);
+    }
+    // Pseudo base64 content, which consists of long runs of word characters which were problematic for the regexes.
+    const base64Chunk = Buffer.from(code.substring(0, 3 * 1024)).toString('base64');
+    code += '//# sourceMappingURL=data:application/json;charset=utf-8;base64,'
+        + base64Chunk.repeat(Math.ceil(sourceMapSize / base64Chunk.length)).substring(0, sourceMapSize);
+    return { translations, code };
+}
+
+/**
+ * @param {Record<string, string>} translations
+ * @param {string} code
+ * @param {boolean} isEvalWrapped
+ * @param {UsageRewriting} usageRewriting
+ * @returns {{duration: number, result: Record<string, string>}}
+ */
+function runOptimizer(translations, code, isEvalWrapped, usageRewriting) {
+    const languageCode = `module.exports = ${JSON.stringify(translations)}`;
+    /** @type {ChunkInfo[]} */
+    const languageChunkInfos = [{
+        filename: 'en-po.js',
+        source: new OriginalSource(isEvalWrapped ? `eval(${JSON.stringify(languageCode)});` : languageCode, 'en-po.js'),
+        isEvalWrapped,
+        languageModules: [{ path: 'en.po', code: languageCode, isReferenceLanguage: true }],
+    }];
+    /** @type {ChunkInfo[]} */
+    const otherChunkInfos = [{
+        filename: 'main.js',
+        source: new OriginalSource(isEvalWrapped ? `eval(${JSON.stringify(code)});` : code, 'main.js'),
+        isEvalWrapped,
+    }];
+    /** @type {Record<string, string>} */
+    const result = {};
+    const start = performance.now();
+    processChunks(
+        languageChunkInfos,
+        otherChunkInfos,
+        (filename, source) => result[filename] = /** @type {string} */ (source.source()),
+        () => {},
+        usageRewriting,
+    );
+    return { duration: performance.now() - start, result };
+}
+
+const { translations, code } = generateBundle();
+console.log(`Bundle with ${componentCount} components and ${Object.keys(translations).length} translations, `
+    + `${(code.length / 1024 / 1024).toFixed(1)} MB including the sourcemap.`);
+for (const isEvalWrapped of [false, true]) {
+    /** @type {Partial<Record<UsageRewriting, Record<string, string>>>} */
+    const results = {};
+    for (const usageRewriting of /** @type {UsageRewriting[]} */ (['regex', 'ast'])) {
+        const durations = [];
+        for (let i = 0; i < ITERATIONS; i++) {
+            const { duration, result } = runOptimizer(translations, code, isEvalWrapped, usageRewriting);
+            durations.push(duration);
+            results[usageRewriting] = result;
+        }
+        console.log(`${isEvalWrapped ? 'eval wrapped' : 'plain'}, ${usageRewriting}: `
+            + `${Math.min(...durations).toFixed(0)} ms (best of ${ITERATIONS})`);
+    }
+    if (JSON.stringify(results.regex) !== JSON.stringify(results.ast)) {
+        console.warn('The results of the regex and ast based usage rewriting differ.');
+    }
+}
@@ -0,0 +1,285 @@
+const assert = require('assert').strict;
+const { parseTranslations, generateTranslationsCode } = require('../loader/common.js');
+const { parseXliffFile } = require('../loader/xliff.js');
+const { compileTranslations } = require('../loader/compile.js');
+const { createTranslationsSourceMap } = require('../loader/sourceMap.js');
+
+/**
+ * @typedef {{column: number, sourceIndex: number, line: number, sourceColumn: number}} Mapping
+ */
+
+// Checks of the loader's xliff parser, message compiler and source maps.
+// Usage: $> npm run check
+const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/** @type {Array<[string, () => void]>} */
+const checks = [];
+
+/**
+ * @param {string} name
+ * @param {() => void} run
+ */
+function check(name, run) {
+    checks.push([name, run]);
+}
+
+check('xliff 1.2: cdata sections, entities and inline markup', () => {
+    const { language, entries } = parseXliffFile(`<?xml version="1.0" encoding="UTF-8"?>
+<!-- comment with <tags> -->
+<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">
+  <file source-language="en" target-language="de" datatype="plaintext" original="app">
+    <body>
+      <trans-unit id="1">
+        <source><![CDATA[<b>{count}</b> & more]]></source>
+        <target state="translated"><![CDATA[<b>{count}</b> & mehr]]></target>
+      </trans-unit>
+      <trans-unit id="2">
+        <source>Tom &amp; Jerry &lt;3 &quot;&apos;&#x263A;&#9731;&unknown;</source>
+        <target state="final">Tom &amp; Jerry &lt;3 &quot;&apos;&#x263A;&#9731;&unknown;</target>
+      </trans-unit>
+      <trans-unit id="3">
+        <source>Click <g id="1">here</g><x id="2"/>!</source>
+        <target>Klicke <g id="1">hier</g><x id="2"/>!</target>
+      </trans-unit>
+    </body>
+  </file>
+</xliff>`, 'de.xlf');
+    assert.equal(language, 'de');
+    assert.deepEqual(entries.map(({ msgid, msgstr, line }) => ({ msgid, msgstr, line })), [
+        { msgid: '<b>{count}</b> & more', msgstr: ['<b>{count}</b> & mehr'], line: 8 },
+        { msgid: 'Tom & Jerry <3 "\'☺☃&unknown;', msgstr: ['Tom & Jerry <3 "\'☺☃&unknown;'], line: 12 },
+        { msgid: 'Click here!', msgstr: ['Klicke hier!'], line: 16 },
+    ]);
+});
+
+check('xliff 1.2: target and source fallback, states and alternative translations', () => {
+    const { entries } = parseXliffFile(`<xliff version="1.2">
+  <file source-language="en" target-language="de">
+    <body>
+      <trans-unit id="untranslated">
+        <source>Untranslated</source>
+        <alt-trans><target>Alternative</target></alt-trans>
+      </trans-unit>
+      <trans-unit id="fuzzy">
+        <source>Fuzzy</source>
+        <target state="needs-review-translation">Unscharf</target>
+      </trans-unit>
+      <trans-unit id="skipped" translate="no">
+        <source>Skipped</source>
+        <target>Übersprungen</target>
+      </trans-unit>
+    </body>
+  </file>
+</xliff>`, 'de.xlf');
+    assert.deepEqual(entries.map(({ msgid, msgstr, fuzzy, line }) => ({ msgid, msgstr, fuzzy, line })), [
+        { msgid: 'Untranslated', msgstr: [''], fuzzy: false, line: 5 },
+        { msgid: 'Fuzzy', msgstr: ['Unscharf'], fuzzy: true, line: 10 },
+    ]);
+
+    // Untranslated entries fall back to the source text.
+    const { translations } = parseTranslations(Buffer.from(`<xliff version="1.2">
+  <file source-language="en" target-language="de"><body>
+    <trans-unit id="1"><source>Hello</source><target>Hallo</target></trans-unit>
+    <trans-unit id="2"><source>World</source></trans-unit>
+    <trans-unit id="3"><source>Fuzzy</source><target state="new">Unscharf</target></trans-unit>
+  </body></file>
+</xliff>`), 'de.xlf', {});
+    assert.deepEqual(translations, { Hello: 'Hallo', World: 'World', Fuzzy: 'Fuzzy' });
+});
+
+check('xliff 2.0: segments, language and errors', () => {
+    const { language, entries } = parseXliffFile(`<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0"
+    srcLang="en" trgLang="fr">
+  <file id="f1">
+    <unit id="1">
+      <segment state="translated"><source>Hello </source><target>Bonjour </target></segment>
+      <segment state="initial"><source>world</source><target>monde</target></segment>
+    </unit>
+    <unit id="2">
+      <segment><source>Only source</source></segment>
+    </unit>
+  </file>
+</xliff>`, 'fr.xliff');
+    assert.equal(language, 'fr');
+    assert.deepEqual(entries.map(({ msgid, msgstr, fuzzy, line }) => ({ msgid, msgstr, fuzzy, line })), [
+        { msgid: 'Hello world', msgstr: ['Bonjour monde'], fuzzy: true, line: 5 },
+        { msgid: 'Only source', msgstr: [''], fuzzy: false, line: 9 },
+    ]);
+
+    assert.throws(() => parseXliffFile('<root/>', 'x.xlf'), /^Error: x\.xlf: not an xliff file\.$/);
+    assert.throws(() => parseXliffFile('<xliff>\n<file></body></xliff>', 'x.xlf'),
+        /^Error: x\.xlf:2: unexpected closing tag <\/body>\.$/);
+    assert.throws(() => parseXliffFile('<xliff><file>', 'x.xlf'), /^Error: x\.xlf: unclosed tag <file>\.$/);
+});
+
+check('compile: placeholders, literals, linked messages and choices', () => {
+    const { messages, errors } = compileTranslations({
+        text: 'Hello "world"',
+        named: 'Hello {name}, {  name }!',
+        list: '{0} and {1}',
+        literal: 'An {\'{\'}at{\'|\'} {\'@\'}',
+        linked: '@.lower:greeting, @:(name with spaces) and @:other.key! email@example.com',
+        choices: 'no apples | one apple | {count} apples',
+        pipeInPlaceholder: '{a|b}',
+        unbalanced: 'Hello {name',
+    });
+    assert.deepEqual(errors, [
+        'Failed to precompile translation of "pipeInPlaceholder": Unsupported placeholder {a|b}.',
+        'Failed to precompile translation of "unbalanced": Unbalanced { at position 6.',
+    ]);
+    /** @type {Record<string, string>} */
+    const values = { name: 'Ann', 0: 'first', 1: 'second', count: '3' };
+    assert.equal(runMessage(messages.text, values), 'Hello "world"');
+    assert.equal(runMessage(messages.named, values), 'Hello Ann, Ann!');
+    assert.equal(runMessage(messages.list, values), 'first and second');
+    assert.equal(runMessage(messages.literal, values), 'An {at| @');
+    assert.equal(runMessage(messages.linked, values),
+        '[greeting.lower], [name with spaces] and [other.key]! email@example.com');
+    assert.deepEqual([0, 1, 2].map((choice) => runMessage(messages.choices, values, choice)),
+        ['no apples', 'one apple', '3 apples']);
+    // Messages which can not be compiled are kept as strings.
+    assert.equal(messages.unbalanced, '"Hello {name"');
+});
+
+check('source map: mappings round-trip to the translation lines', () => {
+    const source = `msgid ""
+msgstr ""
+"Language: de\\n"
+
+msgid "Hello"
+msgstr "Hallo"
+
+msgctxt "menu"
+msgid "Open"
+msgstr "Öffnen"
+
+msgid "{n} file"
+msgid_plural "{n} files"
+msgstr[0] "{n} Datei"
+msgstr[1] "{n} Dateien"
+
+msgid "Untranslated"
+msgstr ""
+
+msgid ""
+"Multi"
+"line"
+msgstr ""
+"Mehr"
+"zeilig"
+`;
+    const { translations, translationLines, errors } = parseTranslations(source, 'de.po', {});
+    assert.deepEqual(errors, []);
+    /** @type {Record<string, number>} */
+    const expectedTranslationLines = {
+        'Hello': 6,
+        'menu\u0004Open': 10,
+        '{n} file | {n} files': 14,
+        'Untranslated': 18,
+        'Multiline': 23,
+    };
+    assert.deepEqual(translationLines, expectedTranslationLines);
+
+    const prefix = 'module.exports = ';
+    for (const precompile of [false, true]) {
+        const { code: translationsCode, columns } = generateTranslationsCode(
+            translations,
+            { precompile, column: prefix.length },
+        );
+        const code = `${prefix}${translationsCode}`;
+        const sourceMap = createTranslationsSourceMap('de.po', source, columns, translationLines);
+        assert.equal(sourceMap.sourcesContent[0], source);
+        assert.ok(!sourceMap.mappings.includes(';'), 'The translations are expected in the first generated line.');
+
+        const mappings = decodeMappings(sourceMap.mappings);
+        assert.deepEqual(
+            mappings.map(({ column, sourceIndex, line, sourceColumn }) => [column, sourceIndex, line, sourceColumn]),
+            Object.keys(translationLines).map((translationKey) =>
+                [columns[translationKey], 0, translationLines[translationKey] - 1, 0]),
+        );
+        for (const { column, line } of mappings) {
+            const translationKey = Object.keys(columns).find((key) => columns[key] === column);
+            assert.ok(translationKey !== undefined, `No translation at column ${column}.`);
+            assert.ok(code.startsWith(JSON.stringify(translationKey), column));
+            assert.match(source.split('\n')[line], /^msgstr/);
+        }
+    }
+});
+
+/**
+ * Run the code of a compiled message function with a message context that resembles vue-i18n's.
+ * @param {string} messageCode
+ * @param {Record<string, string>} values
+ * @param {number} [choice]
+ * @returns {string}
+ */
+function runMessage(messageCode, values, choice = 0) {
+    const messageFunction = new Function(`return ${messageCode}`)();
+    return messageFunction({
+        normalize: (/** @type {string[]} */ items) => items.join(''),
+        interpolate: (/** @type {string} */ value) => value,
+        named: (/** @type {string} */ key) => values[key],
+        list: (/** @type {number} */ index) => values[index],
+        linked: (/** @type {string} */ key, /** @type {string | undefined} */ modifier) =>
+            `[${key}${modifier ? `.${modifier}` : ''}]`,
+        plural: (/** @type {string[]} */ choices) => choices[choice],
+        type: 'text',
+    });
+}
+
+/**
+ * Decode the mappings of the first generated line of a source map.
+ * @param {string} mappings
+ * @returns {Mapping[]}
+ */
+function decodeMappings(mappings) {
+    /** @type {Mapping[]} */
+    const result = [];
+    // Fields of segments are relative to the previous segment.
+    const mapping = { column: 0, sourceIndex: 0, line: 0, sourceColumn: 0 };
+    for (const segment of mappings.split(',').filter(Boolean)) {
+        const [column, sourceIndex, line, sourceColumn] = decodeVlqs(segment);
+        mapping.column += column;
+        mapping.sourceIndex += sourceIndex;
+        mapping.line += line;
+        mapping.sourceColumn += sourceColumn;
+        result.push({ ...mapping });
+    }
+    return result;
+}
+
+/**
+ * @param {string} segment - Base64 variable length quantities
+ * @returns {number[]}
+ */
+function decodeVlqs(segment) {
+    const result = [];
+    let vlq = 0;
+    let shift = 0;
+    for (const char of segment) {
+        const digit = BASE64_CHARS.indexOf(char);
+        assert.ok(digit !== -1, `Invalid base64 character ${char}.`);
+        vlq += (digit & 0b11111) << shift;
+        shift += 5;
+        if (digit & 0b100000) continue; // continuation bit
+        // The sign is stored in the least significant bit.
+        result.push(vlq & 1 ? -(vlq >>> 1) : vlq >>> 1);
+        vlq = 0;
+        shift = 0;
+    }
+    assert.equal(shift, 0, `Incomplete segment ${segment}.`);
+    return result;
+}
+
+let failures = 0;
+for (const [name, run] of checks) {
+    try {
+        run();
+        console.log(`ok: ${name}`);
+    } catch (e) {
+        failures++;
+        console.error(`failed: ${name}\n`, e);
+    }
+}
+console.log(`${checks.length - failures} of ${checks.length} checks passed.`);
+if (failures) process.exitCode = 1;
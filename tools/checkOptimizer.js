@@ -0,0 +1,102 @@
+const assert = require('assert').strict;
+// See optimizer/common.js regarding the usage of webpack-sources and its types.
+const OriginalSource = /** @type {typeof import('webpack5').sources.OriginalSource} */ (
+    /** @type {unknown} */ (require('webpack-sources').OriginalSource));
+const { optimizeTranslationUsagesViaAst } = require('../optimizer/ast.js');
+
+// Checks of the optimizer's ast based usage rewriting.
+// Usage: $> npm run check
+
+/** @type {Array<[string, () => void]>} */
+const checks = [];
+
+/**
+ * @param {string} name
+ * @param {() => void} run
+ */
+function check(name, run) {
+    checks.push([name, run]);
+}
+
+check('ast: only t, tc and te methods of vue-i18n objects in a webpack dev chunk', () => {
+    const translationKeyIndexMap = { 'Hello': 0, 'World': 1, '{n} apple | {n} apples': 2 };
+    const moduleCode = `__webpack_require__.r(__webpack_exports__);
+var vue_i18n__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__("./node_modules/vue-i18n/dist/vue-i18n.mjs");
+const i18n = (0,vue_i18n__WEBPACK_IMPORTED_MODULE_0__.createI18n)({ locale: 'en' });
+__webpack_require__.e("src_i18n_pl_po").then(__webpack_require__.t.bind(__webpack_require__, "./src/i18n/pl.po", 19));
+const pl = __webpack_require__.t("./src/i18n/pl.po", 19);
+const router = { t: (path) => path };
+router.t('World');
+console.log(i18n.global.t('Hello'), i18n.global.tc('{n} apple | {n} apples', 2), this.$i18n.te('World'));
+function render(_ctx, _cache, $props, $setup) {
+    return [_ctx.$t('Hello'), (0,_ctx.t)('World'), $setup.t('Hello')];
+}
+`;
+    const expectedModuleCode = moduleCode
+        .replace('i18n.global.t(\'Hello\')', 'i18n.global.t(\'0\')')
+        .replace('i18n.global.tc(\'{n} apple | {n} apples\', 2)', 'i18n.global.tc(\'2\', 2)')
+        .replace('this.$i18n.te(\'World\')', 'this.$i18n.te(\'1\')')
+        .replace('[_ctx.$t(\'Hello\'), (0,_ctx.t)(\'World\'), $setup.t(\'Hello\')]',
+            '[_ctx.$t(\'0\'), (0,_ctx.t)(\'1\'), $setup.t(\'0\')]');
+    /** @param {string} code */
+    const wrap = (code) => '(self["webpackChunkapp"] = self["webpackChunkapp"] || []).push([["main"],{\n'
+        + `"./src/index.js": ((__unused_webpack_module, __webpack_exports__, __webpack_require__) => {\n${code}\n})\n`
+        + '}]);';
+
+    for (const isEvalWrapped of [false, true]) {
+        /** @param {string} code */
+        const wrapModule = (code) => wrap(isEvalWrapped ? `eval(${JSON.stringify(code)});` : code);
+        const chunkInfo = {
+            filename: 'main.js',
+            source: new OriginalSource(wrapModule(moduleCode), 'main.js'),
+            isEvalWrapped,
+        };
+        const { missingTranslations, usedTranslations } = optimizeTranslationUsagesViaAst(chunkInfo,
+            translationKeyIndexMap);
+        assert.deepEqual([...missingTranslations], []);
+        assert.deepEqual([...usedTranslations].sort(), Object.keys(translationKeyIndexMap).sort());
+        assert.equal(chunkInfo.source.source(), wrapModule(expectedModuleCode));
+    }
+});
+
+check('ast: translation functions bound from useI18n in a vue3 single file component module', () => {
+    const translationKeyIndexMap = { 'Hello': 0, 'World': 1, 'Title': 2, 'Unused': 3 };
+    const moduleCode = `import { useI18n } from 'vue-i18n';
+import { unref as _unref, toDisplayString as _toDisplayString, openBlock as _openBlock } from 'vue';
+import * as VueI18n from 'vue-i18n';
+const _sfc_main = {
+    setup(__props) {
+        const { t, te: hasTranslation } = useI18n();
+        const composer = VueI18n.useI18n({ useScope: 'global' });
+        const title = composer.t('Title');
+        const router = { t: (path) => path };
+        router.t('World');
+        return (_ctx, _cache) => (_openBlock(), _toDisplayString(_unref(t)('Hello'))
+            + _toDisplayString(hasTranslation('World') ? t('World') : title));
+    },
+};
+export default _sfc_main;
+`;
+    const chunkInfo = { filename: 'App.vue', source: new OriginalSource(moduleCode, 'App.vue') };
+    const { missingTranslations, usedTranslations } = optimizeTranslationUsagesViaAst(chunkInfo,
+        translationKeyIndexMap);
+    assert.deepEqual([...missingTranslations], []);
+    assert.deepEqual([...usedTranslations].sort(), ['Hello', 'Title', 'World']);
+    assert.equal(chunkInfo.source.source(), moduleCode
+        .replace('composer.t(\'Title\')', 'composer.t(\'2\')')
+        .replace('_unref(t)(\'Hello\')', '_unref(t)(\'0\')')
+        .replace('hasTranslation(\'World\') ? t(\'World\')', 'hasTranslation(\'1\') ? t(\'1\')'));
+});
+
+let failures = 0;
+for (const [name, run] of checks) {
+    try {
+        run();
+        console.log(`ok: ${name}`);
+    } catch (e) {
+        failures++;
+        console.error(`failed: ${name}\n`, e);
+    }
+}
+console.log(`${checks.length - failures} of ${checks.length} checks passed.`);
+if (failures) process.exitCode = 1;
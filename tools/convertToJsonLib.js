@@ -1,7 +1,8 @@
 const fs = require('fs');
 const path = require('path');
 const glob = require('glob');
-const PoParser = require('gettext-parser').po;
+const { parsePo } = require('../loader/po');
+const { getTranslationKey } = require('../runtime');
 
 const inputGlob = process.argv[2];
 if (!inputGlob) {
@@ -21,12 +22,7 @@ for (const inputFile of inputFiles) {
     const buffer = fs.readFileSync(inputFile);
 
     // Parse the PO file
-    const parsed = PoParser.parse(
-        buffer,
-        // Later versions of gettext-parser expect an options object, but @types/gettext-parser still has the old type
-        // of expecting the default charset as second parameter. Thus, we pass it in a way which is compatible with both
-        Object.assign('utf8', { defaultCharset: 'utf8' }),
-    );
+    const parsed = parsePo(buffer);
 
     // Create JSON from parsed data
     /** @type {{[translationReferenceFile: string]: {[translationKey: string]: string}}} */
@@ -37,7 +33,7 @@ for (const inputFile of inputFiles) {
         const translations = parsed.translations[context];
 
         for (const translationKey of Object.keys(translations)) {
-            const namespacedTranslationKey = context ? `${context}\u0004${translationKey}` : translationKey;
+            const namespacedTranslationKey = getTranslationKey(context, translationKey);
             const translation = translations[translationKey];
 
             if (!translation.comments || !translation.comments.reference) continue;